@@ -13,20 +13,67 @@
     return a;
   }
 
+  function gameKey(id) { return `tornaris_game_${id}`; }
+
   function saveState() {
-    try { localStorage.setItem('tornaris_state', JSON.stringify(state)); }
-    catch (e) { console.warn('localStorage unavailable', e); }
+    if (!currentGameId) return;
+    if (!storeWithRoom(gameKey(currentGameId), JSON.stringify(state))) {
+      warnStorageFull();
+      return;
+    }
+    storageFullWarned = false;
+    touchLibraryEntry();
+  }
+
+  /**
+   * setItem that makes room when storage is full: stored undo history is
+   * dropped (other games' first, then this one's) so it never costs a save.
+   */
+  function storeWithRoom(key, value) {
+    const spare = library.map(e => e.id).filter(id => id !== currentGameId);
+    if (currentGameId) spare.push(currentGameId);
+    for (;;) {
+      try {
+        localStorage.setItem(key, value);
+        return true;
+      } catch (e) {
+        let freed = false;
+        while (spare.length && !freed) {
+          const hk = historyKey(spare.shift());
+          try {
+            freed = localStorage.getItem(hk) !== null;
+            localStorage.removeItem(hk);
+          } catch (_) {}
+        }
+        if (!freed) {
+          console.warn('localStorage unavailable', e);
+          return false;
+        }
+      }
+    }
   }
 
-  function loadState() {
+  let storageFullWarned = false;
+
+  function warnStorageFull() {
+    if (storageFullWarned) return;
+    storageFullWarned = true;
+    showModal('No se pudo guardar',
+      'El almacenamiento del navegador está lleno. Exportá o eliminá partidas viejas desde 📚 Partidas para seguir guardando.',
+      [{ label: 'Entendido', primary: true }]);
+  }
+
+  function loadState(id) {
     try {
-      const raw = localStorage.getItem('tornaris_state');
+      const raw = localStorage.getItem(gameKey(id));
       return raw ? JSON.parse(raw) : null;
     } catch (e) { return null; }
   }
 
   function getChar(id) { return CHARACTERS.find(c => c.id === id) || null; }
   function getMonster(id) { return MONSTERS.find(m => m.id === id) || null; }
+  function getEquipment(id) { return EQUIPMENT.find(e => e.id === id) || null; }
+  function getItem(id) { return ITEMS.find(i => i.id === id) || null; }
 
   function computeHP(monster, playerCount, isLegendary) {
     if (monster.hp === null) return null;
@@ -44,6 +91,11 @@
     return hp === null ? 'Especial' : hp;
   }
 
+  function renderTierBadge(el, tier) {
+    el.textContent = tier.charAt(0).toUpperCase() + tier.slice(1);
+    el.className = `tier-badge ${tier}`;
+  }
+
   function escHtml(str) {
     return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
   }
@@ -113,12 +165,14 @@
   // ─── State ────────────────────────────────────────────────
 
   let state = null;
+  let currentGameId = null;   // library id of the open game; null while the library is shown
 
   function defaultState() {
     return {
+      schemaVersion: SCHEMA_VERSION,
       phase: 'setup',
       previousPhase: 'game',
-      options: { digitalMonsters: false, digitalEvents: false, fullTracking: false },
+      options: { digitalMonsters: false, digitalEvents: false, fullTracking: false, digitalDice: false },
       players: [],
       game: {
         // Combined event deck: [{type:'day'|'night', eventId:number}, ...]
@@ -129,393 +183,2991 @@
         monsterDeck: [],
         monsterDeckIndex: 0,
         monsterDefeated: false,
+        carriedMonster: null,  // { monsterId, hp } — monster back with the HP it had left
+        equipmentDeck: [],     // equipment IDs, drawn from the end
+        equipmentDiscard: [],
+        shop: [],              // equipment IDs revealed in the shop
+        shopEventIndex: -1,    // eventIndex the shop was revealed for
         pendingNotifications: [],
       },
       duel: {
         player1Id: null, player2Id: null,
         score1: 0, score2: 0,
         winnerId: null, matchId: null,
+        plays: [],             // calculator: [{ pid, eqId, mana, as? }] in play order
+      },
+      // Chronicle of the game: { type, day, time, at, ...data }. Entries are
+      // only appended, except consecutive manual taps on one counter, which
+      // merge into the last entry (dropped if they cancel out)
+      log: [],
+      // Passive trackers for the duel or dungeon fight in progress
+      combat: {
+        rerolls: {},           // { pid: rerolls used }
+        borrowed: {},          // { pid: equipment ID Skull took from the discard pile }
+        extraDice: {},         // { pid: dice added by objects like Invocación de Familiar }
+        dice: {},              // { pid: current dice values } — digital dice only
+        modifiers: {},         // { pid: bonus added to the dice total }
+        rolls: [],             // roll history: { pid, dice, label, at }
       },
       monsterCombat: {
         monsterId: null,
+        baseHP: 0,             // HP before ability rules are applied
         maxHP: 0, currentHP: 0,
         combatantIds: [],
         combatantScores: {},
+        ruleInputs: {},        // per rule index: table-entered value or { pid: value }
+        stage: 1,
         isLegendary: false,
+        plays: [],             // equipment used: [{ pid, eqId, mana }]
       },
-      tournament: {
-        phase: 'pre',
-        seeds: [], rounds: [],
-        championId: null,
-      },
+      tournament: newTournament([]),
+    };
+  }
+
+  /** Tournament in its pre phase, with defaults for every option */
+  function newTournament(players) {
+    return {
+      phase: 'pre',
+      seeds: shuffle(players.map(p => ({ playerId: p.id, seedRank: null }))),  // random order settles metric ties
+      rounds: [],
+      championId: null,
+      format: 'single',      // 'single' | 'double' | 'roundRobin' | 'swiss'
+      seeding: 'random',     // key of SEEDING_STRATEGIES
+      bestOf: 1,             // duels per match: 1 | 3 | 5
+      tiebreak: 'advantage', // 'advantage' | 'reroll' | 'replay'
     };
   }
 
-  function initState() {
-    const saved = loadState();
-    state = saved || defaultState();
-    if (!state.monsterCombat) state.monsterCombat = defaultState().monsterCombat;
-    // Migrate old saves that used separate day/night decks
-    if (!state.game.eventDeck) {
-      state.game.eventDeck = [];
-      state.game.eventIndex = 0;
+  /** A fresh game on the setup screen with three empty slots */
+  function blankState() {
+    const s = defaultState();
+    fillSetupSlots(s);
+    return s;
+  }
+
+  function fillSetupSlots(s) {
+    if (s.phase !== 'setup' || s.players.length >= 3) return;
+    s.players = [];
+    for (let i = 0; i < 3; i++) {
+      s.players.push({ id: i, name: '', characterId: '', profileId: null, gold: 0, mana: 4, maxMana: 4, equipment: [] });
     }
   }
 
-  // ─── Navigation ───────────────────────────────────────────
+  // ─── SCHEMA ───────────────────────────────────────────────
 
-  function navigateTo(phase) {
-    state.phase = phase;
-    saveState();
-    renderAll();
+  // Bump SCHEMA_VERSION together with a new entry in MIGRATIONS. MIGRATIONS[i]
+  // upgrades a state from version i to i + 1; saves without a schemaVersion
+  // are version 0.
+  const SCHEMA_VERSION = 12;
+
+  const MIGRATIONS = [
+    // 0 → 1: one combined event deck instead of dayEventDeck/nightEventDeck
+    s => {
+      if (!s.game.eventDeck) {
+        s.game.eventDeck = [];
+        s.game.eventIndex = 0;
+      }
+      delete s.game.dayEventDeck;
+      delete s.game.dayEventIndex;
+      delete s.game.nightEventDeck;
+      delete s.game.nightEventIndex;
+    },
+    // 1 → 2: monster rules, carried monsters and the game log
+    s => {
+      const def = defaultState();
+      s.options = { ...def.options, ...s.options };
+      if (!s.duel) s.duel = def.duel;
+      if (!s.tournament) s.tournament = def.tournament;
+      if (!s.monsterCombat) s.monsterCombat = def.monsterCombat;
+      s.monsterCombat = {
+        ...def.monsterCombat,
+        baseHP: s.monsterCombat.maxHP,
+        ...s.monsterCombat,
+      };
+      if (s.game.carriedMonster === undefined) s.game.carriedMonster = null;
+      if (!s.game.pendingNotifications) s.game.pendingNotifications = [];
+      if (!s.log) s.log = [];
+    },
+    // 2 → 3: equipment deck, discard pile and shop
+    s => {
+      if (!s.game.equipmentDeck) {
+        // Cards already in someone's hand aren't in the deck anymore
+        const deck = buildEquipmentDeck();
+        for (const p of s.players) {
+          for (const eqId of p.equipment || []) {
+            const i = deck.indexOf(eqId);
+            if (i >= 0) deck.splice(i, 1);
+          }
+        }
+        s.game.equipmentDeck = deck;
+      }
+      if (!s.game.equipmentDiscard) s.game.equipmentDiscard = [];
+      if (!s.game.shop) s.game.shop = [];
+      if (s.game.shopEventIndex === undefined) s.game.shopEventIndex = -1;
+    },
+    // 3 → 4: character passives — equipment slots, starting items, combat trackers
+    s => {
+      for (const p of s.players) {
+        const char = getChar(p.characterId);
+        if (p.equipmentSlots === undefined) p.equipmentSlots = char?.equipmentSlots ?? DEFAULT_EQUIPMENT_SLOTS;
+        if (!p.items) p.items = s.phase === 'setup' ? {} : startItems(char);
+      }
+      if (!s.combat) s.combat = defaultState().combat;
+    },
+    // 4 → 5: dice granted by objects during a fight
+    s => {
+      if (!s.combat.extraDice) s.combat.extraDice = {};
+    },
+    // 5 → 6: optional digital dice
+    s => {
+      if (s.options.digitalDice === undefined) s.options.digitalDice = false;
+      s.combat = { ...defaultState().combat, ...s.combat };
+    },
+    // 6 → 7: equipment played in the duel calculator
+    s => {
+      if (!Array.isArray(s.duel.plays)) s.duel.plays = [];
+    },
+    // 7 → 8: equipment used in dungeon fights
+    s => {
+      if (!Array.isArray(s.monsterCombat.plays)) s.monsterCombat.plays = [];
+    },
+    // 8 → 9: tournament formats
+    s => {
+      if (!s.tournament.format) s.tournament.format = 'single';
+    },
+    // 9 → 10: tournament seeding strategies
+    s => {
+      if (!s.tournament.seeding) s.tournament.seeding = 'random';
+    },
+    // 10 → 11: best-of series and tiebreak policy
+    s => {
+      if (!s.tournament.bestOf) s.tournament.bestOf = 1;
+      if (!s.tournament.tiebreak) s.tournament.tiebreak = 'advantage';
+    },
+    // 11 → 12: players link to a device-wide profile
+    s => {
+      s.players.forEach(p => { if (p.profileId === undefined) p.profileId = null; });
+    },
+  ];
+
+  const PHASES = ['setup', 'game', 'duel', 'monsterCombat', 'tournament', 'champion'];
+
+  const isRecord = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  /** Returns an error message when `s` can't be loaded as a game, null otherwise */
+  function validateState(s) {
+    if (!isRecord(s)) return 'No es una partida de Tornaris.';
+    if ((s.schemaVersion || 0) > SCHEMA_VERSION) return 'La partida es de una versión más nueva de la app.';
+    if (!PHASES.includes(s.phase)) return `Fase desconocida: ${s.phase}`;
+    const badPlayer = Array.isArray(s.players) && s.players.find(p =>
+      isRecord(p) && p.characterId && !getChar(p.characterId));
+    if (badPlayer) return 'Hay jugadores con datos inválidos.';
+    return null;
   }
 
-  function renderAll() {
-    document.body.setAttribute('data-time', state.game.timeOfDay);
+  const STATE_SECTIONS = ['options', 'game', 'duel', 'combat', 'monsterCombat', 'tournament'];
 
-    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-    const map = {
-      setup:          'screen-setup',
-      game:           'screen-game',
-      duel:           'screen-duel',
-      monsterCombat:  'screen-monster-combat',
-      tournament:     'screen-tournament',
-      champion:       'screen-tournament',
-    };
-    const id = map[state.phase] || 'screen-setup';
-    const el = document.getElementById(id);
-    if (el) el.classList.add('active');
+  /**
+   * Give the players and every section the type migrations rely on, so a
+   * damaged save loads with defaults. Returns a description of each reset.
+   */
+  function resetBrokenShape(s) {
+    const repairs = [];
+    const def = defaultState();
+    if (!Array.isArray(s.players)) {
+      if (s.players !== undefined) repairs.push('Los jugadores estaban dañados y se quitaron');
+      s.players = [];
+    }
+    const players = s.players;
+    s.players = players.filter(isRecord);
+    if (s.players.length !== players.length) repairs.push('Se quitaron jugadores dañados');
+    s.players.forEach((p, i) => { if (typeof p.name !== 'string') p.name = `Jugador ${i + 1}`; });
+    // Missing sections are normal in old saves; only wrong-typed ones are reported
+    const broken = STATE_SECTIONS.filter(key => s[key] !== undefined && !isRecord(s[key]));
+    if (broken.length) repairs.push(`Se restablecieron datos dañados (${broken.join(', ')})`);
+    for (const key of STATE_SECTIONS) if (!isRecord(s[key])) s[key] = def[key];
+    return repairs;
+  }
 
-    switch (state.phase) {
-      case 'setup':         renderSetup(); break;
-      case 'game':          renderGame(); break;
-      case 'duel':          renderDuel(); break;
-      case 'monsterCombat': renderMonsterCombat(); break;
-      case 'tournament':    renderTournament(); break;
+  /** Same kind of value as the default: arrays, objects, or the same primitive (null fits any primitive) */
+  function sameKind(value, def) {
+    if (Array.isArray(def)) return Array.isArray(value);
+    if (isRecord(def)) return isRecord(value);
+    return value !== undefined && (value === null || def === null || typeof value === typeof def);
+  }
+
+  /** Run the pending migrations in order */
+  function migrateState(s) {
+    for (let v = s.schemaVersion || 0; v < SCHEMA_VERSION; v++) MIGRATIONS[v](s);
+    s.schemaVersion = SCHEMA_VERSION;
+    return s;
+  }
+
+  /**
+   * Fix references that would break rendering: unknown equipment, monster and
+   * event IDs, players that no longer exist and brackets fed by missing matches.
+   * Returns a description of each repair.
+   */
+  function repairState(s) {
+    const repairs = [];
+
+    // Missing or wrong-typed fields fall back to their defaults
+    const def = defaultState();
+    for (const key of STATE_SECTIONS) {
+      for (const [field, value] of Object.entries(def[key])) {
+        if (!sameKind(s[key][field], value)) s[key][field] = value;
+      }
+    }
+    if (!Array.isArray(s.log)) s.log = [];
+
+    const ids = new Set(s.players.map(p => p.id));
+    const num = (v, min) => (Number.isFinite(v) ? Math.max(min, v) : min);
+
+    for (const p of s.players) {
+      const equipment = Array.isArray(p.equipment) ? p.equipment : [];
+      p.equipment = equipment.filter(id => getEquipment(id));
+      if (p.equipment.length !== equipment.length) {
+        repairs.push(`${p.name || 'Jugador'}: se quitó equipamiento desconocido`);
+      }
+      p.gold = num(p.gold, 0);
+      p.maxMana = num(p.maxMana, 1);
+      p.equipmentSlots = num(p.equipmentSlots, DEFAULT_EQUIPMENT_SLOTS);
+      const items = p.items && typeof p.items === 'object' ? p.items : {};
+      p.items = {};
+      for (const [itemId, n] of Object.entries(items)) {
+        if (getItem(itemId) && n > 0) p.items[itemId] = n;
+      }
+      p.mana = Math.min(num(p.mana, 0), p.maxMana);
+    }
+
+    const g = s.game;
+    const deck = Array.isArray(g.monsterDeck) ? g.monsterDeck : [];
+    g.monsterDeck = deck.filter(id => getMonster(id));
+    if (g.monsterDeck.length !== deck.length) repairs.push('Se quitaron monstruos desconocidos del mazo');
+    g.monsterDeckIndex = Math.min(num(g.monsterDeckIndex, 0), g.monsterDeck.length);
+
+    const events = Array.isArray(g.eventDeck) ? g.eventDeck : [];
+    g.eventDeck = events.filter(e => e &&
+      (e.type === 'day' ? DAY_EVENTS : e.type === 'night' ? NIGHT_EVENTS : []).some(ev => ev.id === e.eventId));
+    if (g.eventDeck.length !== events.length) repairs.push('Se quitaron eventos desconocidos del mazo');
+    g.eventIndex = Math.min(num(g.eventIndex, 0), Math.max(0, g.eventDeck.length - 1));
+
+    if (g.carriedMonster && !getMonster(g.carriedMonster.monsterId)) g.carriedMonster = null;
+
+    for (const pile of ['equipmentDeck', 'equipmentDiscard', 'shop']) {
+      const cards = Array.isArray(g[pile]) ? g[pile] : [];
+      g[pile] = cards.filter(id => getEquipment(id));
+      if (g[pile].length !== cards.length) repairs.push('Se quitaron cartas de equipamiento desconocidas');
+    }
+
+    if (s.monsterCombat.monsterId !== null && !getMonster(s.monsterCombat.monsterId)) {
+      s.monsterCombat = defaultState().monsterCombat;
+      if (s.phase === 'monsterCombat') s.phase = 'game';
+      repairs.push('Se descartó un combate con un monstruo desconocido');
+    } else {
+      s.monsterCombat.combatantIds = s.monsterCombat.combatantIds.filter(pid => ids.has(pid));
+    }
+
+    for (const key of ['rerolls', 'borrowed', 'extraDice', 'dice', 'modifiers']) {
+      const tracker = s.combat[key] || {};
+      s.combat[key] = {};
+      for (const [pid, v] of Object.entries(tracker)) {
+        if (ids.has(Number(pid))) s.combat[key][pid] = v;
+      }
+    }
+
+    for (const key of ['player1Id', 'player2Id', 'winnerId']) {
+      if (s.duel[key] !== null && !ids.has(s.duel[key])) s.duel[key] = null;
+    }
+    s.duel.plays = s.duel.plays.filter(pl => isRecord(pl) && ids.has(pl.pid) && getEquipment(pl.eqId));
+    s.monsterCombat.plays = s.monsterCombat.plays.filter(pl => isRecord(pl) && ids.has(pl.pid) && getEquipment(pl.eqId));
+
+    const t = s.tournament;
+    if (!Array.isArray(t.rounds)) t.rounds = [];
+    if (!Array.isArray(t.seeds)) t.seeds = [];
+    t.rounds = t.rounds.filter(isRecord);
+    const matchIds = new Set(t.rounds.flatMap(r => (Array.isArray(r.matches) ? r.matches : []).filter(isRecord).map(m => m.id)));
+    const badPlayer = pid => pid !== null && pid !== undefined && !ids.has(pid);
+    const broken = t.rounds.some(r => !Array.isArray(r.matches) || r.matches.some(m =>
+      !isRecord(m) || !Array.isArray(m.feedsFrom) ||
+      m.feedsFrom.some(f => f && !matchIds.has(f.matchId)) ||
+      [m.player1Id, m.player2Id, m.winnerId].some(badPlayer)));
+    if (broken) {
+      // A bracket that can't propagate winners is regenerated from the pre phase
+      t.rounds = [];
+      t.phase = 'pre';
+      t.championId = null;
+      if (s.phase === 'champion') s.phase = 'tournament';
+      repairs.push('El bracket estaba dañado y se volverá a generar');
     }
+    if (t.championId !== null && !ids.has(t.championId)) {
+      t.championId = null;
+      if (s.phase === 'champion') s.phase = 'tournament';
+    }
+    t.seeds = t.seeds.filter(seed => isRecord(seed) && ids.has(seed.playerId));
+    if (s.phase === 'duel' && s.duel.matchId && !matchIds.has(s.duel.matchId)) s.phase = s.previousPhase || 'game';
+
+    return repairs;
   }
 
-  // ─── SETUP ────────────────────────────────────────────────
+  /**
+   * Validate, migrate and repair a saved or imported state. Throws when the
+   * state can't be recovered; repairs are queued as a notification.
+   */
+  function upgradeState(s) {
+    const error = validateState(s);
+    if (error) throw new Error(error);
+    const repairs = resetBrokenShape(s);
+    migrateState(s);
+    repairs.push(...repairState(s));
+    if (repairs.length) s.game.pendingNotifications.push(`Partida reparada: ${repairs.join('. ')}.`);
+    return s;
+  }
 
-  function renderSetup() {
-    document.getElementById('opt-monsters').checked = state.options.digitalMonsters;
-    document.getElementById('opt-events').checked   = state.options.digitalEvents;
-    document.getElementById('opt-tracking').checked  = state.options.fullTracking;
-    renderPlayerSlots();
-    updateStartButton();
+  // ─── HISTORY ──────────────────────────────────────────────
+
+  // Snapshots of `state` taken before each user action, stored next to the
+  // game they belong to so undo survives a reload. All steps stay in memory;
+  // storage keeps the newest ones that fit in HISTORY_MAX_CHARS.
+  const HISTORY_LIMIT = 60;
+  const HISTORY_COALESCE_MS = 1500;
+  const HISTORY_MAX_CHARS = 500000;
+
+  let undoHistory = { past: [], future: [] };
+
+  function historyKey(id) { return `tornaris_history_${id}`; }
+
+  function saveHistory() {
+    if (!currentGameId) return;
+    const stored = { past: undoHistory.past.slice(), future: undoHistory.future };
+    // Drop the oldest steps while over the cap or while storage is full
+    for (;;) {
+      const raw = JSON.stringify(stored);
+      if (raw.length <= HISTORY_MAX_CHARS) {
+        try {
+          localStorage.setItem(historyKey(currentGameId), raw);
+          return;
+        } catch (_) {}
+      }
+      if (stored.past.length === 0) break;
+      stored.past.splice(0, Math.ceil(stored.past.length / 4));
+    }
+    try { localStorage.removeItem(historyKey(currentGameId)); } catch (_) {}
   }
 
-  function renderPlayerSlots() {
-    const container = document.getElementById('player-slots');
-    container.innerHTML = '';
-    const usedCharIds = state.players.map(p => p.characterId);
+  function loadHistory() {
+    try {
+      const raw = localStorage.getItem(historyKey(currentGameId));
+      const saved = raw ? JSON.parse(raw) : null;
+      undoHistory = saved && Array.isArray(saved.past) && Array.isArray(saved.future)
+        ? saved : { past: [], future: [] };
+    } catch (e) { undoHistory = { past: [], future: [] }; }
+  }
 
-    state.players.forEach((player, idx) => {
-      const div = document.createElement('div');
-      div.className = 'player-slot';
-      div.innerHTML = `
-        <span class="player-slot-num">${idx + 1}</span>
-        <input type="text" class="player-name-input" placeholder="Nombre" maxlength="20"
-          value="${escHtml(player.name)}" data-idx="${idx}" />
-        <select class="character-select" data-idx="${idx}">
-          <option value="">— Clase —</option>
-          ${CHARACTERS.map(c => {
-            const taken = usedCharIds.includes(c.id) && c.id !== player.characterId;
-            return `<option value="${c.id}" ${c.id === player.characterId ? 'selected' : ''} ${taken ? 'disabled' : ''}>${c.emoji} ${c.name}</option>`;
-          }).join('')}
-        </select>
-        <button class="btn-remove-player" data-idx="${idx}" ${state.players.length <= 3 ? 'disabled' : ''}>✕</button>
-      `;
-      container.appendChild(div);
-    });
+  function clearHistory() {
+    undoHistory = { past: [], future: [] };
+    saveHistory();
+  }
 
-    document.getElementById('btn-add-player').style.display =
-      state.players.length >= 6 ? 'none' : 'inline-flex';
+  function snapshotState() {
+    return JSON.parse(JSON.stringify(state));
   }
 
-  function updateStartButton() {
-    const valid = state.players.length >= 3 &&
-      state.players.every(p => p.name.trim() !== '' && p.characterId !== '');
-    const charIds = state.players.map(p => p.characterId);
-    const unique = new Set(charIds).size === charIds.length;
-    document.getElementById('btn-start').disabled = !(valid && unique);
+  /**
+   * Record the state as it is before an action. With `coalesce`, repeated calls
+   * with the same label in quick succession (hold-to-repeat buttons, typing)
+   * collapse into one step.
+   */
+  function checkpoint(label, coalesce) {
+    const last = undoHistory.past[undoHistory.past.length - 1];
+    const now = Date.now();
+    if (coalesce && last && last.label === label && now - last.at < HISTORY_COALESCE_MS && undoHistory.future.length === 0) {
+      // Same step as before: the stored snapshot doesn't change
+      last.at = now;
+      return;
+    }
+    undoHistory.past.push({ label, at: now, snapshot: snapshotState() });
+    if (undoHistory.past.length > HISTORY_LIMIT) undoHistory.past.shift();
+    undoHistory.future = [];
+    saveHistory();
   }
 
-  function startGame() {
-    state.players = state.players.map((p, i) => {
-      const char = getChar(p.characterId);
-      const maxMana = char ? char.maxMana : 4;
-      return { ...p, id: i, gold: 0, mana: maxMana, maxMana, equipment: [] };
+  function stepBack() {
+    const entry = undoHistory.past.pop();
+    if (!entry) return false;
+    undoHistory.future.push({ label: entry.label, at: entry.at, snapshot: snapshotState() });
+    state = entry.snapshot;
+    return true;
+  }
+
+  function stepForward() {
+    const entry = undoHistory.future.pop();
+    if (!entry) return false;
+    undoHistory.past.push({ label: entry.label, at: entry.at, snapshot: snapshotState() });
+    state = entry.snapshot;
+    return true;
+  }
+
+  function undo() {
+    if (!stepBack()) return;
+    saveState(); saveHistory(); renderAll();
+  }
+
+  function redo() {
+    if (!stepForward()) return;
+    saveState(); saveHistory(); renderAll();
+  }
+
+  /** Restore the state from before past[idx] (idx < 0 walks into the redo stack) */
+  function jumpToHistory(idx) {
+    if (idx >= 0) {
+      while (undoHistory.past.length > idx && stepBack()) { /* walk back */ }
+    } else {
+      for (let i = 0; i < -idx && stepForward(); i++) { /* walk forward */ }
+    }
+    saveState(); saveHistory(); renderAll();
+  }
+
+  function updateHistoryButtons() {
+    document.querySelectorAll('.btn-undo').forEach(b => { b.disabled = undoHistory.past.length === 0; });
+    document.querySelectorAll('.btn-redo').forEach(b => { b.disabled = undoHistory.future.length === 0; });
+  }
+
+  function historyContext(snapshot) {
+    const g = snapshot.game;
+    switch (snapshot.phase) {
+      case 'game':          return g.timeOfDay === 'day' ? `☀️ Día ${g.currentDay}` : `🌙 Noche (día ${g.currentDay})`;
+      case 'duel':          return '⚔️ Duelo';
+      case 'monsterCombat': return '🐉 Mazmorra';
+      case 'tournament':    return '🏆 Torneo';
+      default:              return '';
+    }
+  }
+
+  function openTimeline() {
+    const body = document.createElement('div');
+    body.className = 'timeline-list';
+    const fmt = at => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const redoItems = undoHistory.future.map((entry, i) => ({ entry, target: -(undoHistory.future.length - i) }));
+    const pastItems = undoHistory.past.map((entry, i) => ({ entry, target: i })).reverse();
+
+    body.innerHTML = `
+      ${redoItems.map(({ entry, target }) => `
+        <button class="timeline-item redo" data-target="${target}">
+          <span class="timeline-label">${escHtml(entry.label)}</span>
+          <span class="timeline-meta">${escHtml(historyContext(entry.snapshot))} · ${fmt(entry.at)}</span>
+        </button>`).join('')}
+      <div class="timeline-now">Ahora · ${escHtml(historyContext(state))}</div>
+      ${pastItems.map(({ entry, target }) => `
+        <button class="timeline-item" data-target="${target}">
+          <span class="timeline-label">${escHtml(entry.label)}</span>
+          <span class="timeline-meta">${escHtml(historyContext(entry.snapshot))} · ${fmt(entry.at)}</span>
+        </button>`).join('')}
+      ${pastItems.length === 0 && redoItems.length === 0 ? '<div class="timeline-empty">Sin acciones registradas.</div>' : ''}
+    `;
+    body.querySelectorAll('.timeline-item').forEach(btn => {
+      btn.addEventListener('click', () => {
+        closeModal();
+        jumpToHistory(parseInt(btn.dataset.target));
+      });
     });
 
-    // Build the combined event deck and draw the first card
-    const eventDeck = buildCombinedEventDeck();
-    const firstEvent = eventDeck[0];
-    const isDay = firstEvent && firstEvent.type === 'day';
+    showModal('Historial', body, [{ label: 'Cerrar', primary: true }]);
+  }
 
-    state.game = {
-      eventDeck,
-      eventIndex: 0,
-      currentDay: isDay ? 1 : 0,
-      timeOfDay: firstEvent ? firstEvent.type : 'day',
-      monsterDeck: buildMonsterDeck(),
-      monsterDeckIndex: 0,
-      monsterDefeated: false,
-      pendingNotifications: [],
-    };
+  // ─── EXPORT / IMPORT ──────────────────────────────────────
+
+  // Files wrap the state in an envelope so future versions can tell what they
+  // are reading. Share codes carry the same envelope, base64-encoded, with the
+  // state packed: no log, no fields left at their defaults and the event deck
+  // as short strings. Codes up to QR_MAX_BYTES fit in one QR code.
+  const EXPORT_FORMAT = 'tornaris';
+  const EXPORT_VERSION = 1;
+  const SHARE_PREFIX = 'TORNARIS:';
+  const QR_MAX_BYTES = 2953;   // version 40, low error correction, byte mode
+
+  function exportEnvelope(compact) {
+    const exported = JSON.parse(JSON.stringify(state));
+    const envelope = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString() };
+    return compact ? { ...envelope, packed: true, state: packState(exported) } : { ...envelope, state: exported };
+  }
 
-    navigateTo('game');
+  /** Copy of `value` without the fields that equal `base` */
+  function withoutDefaults(value, base) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (!(key in base)) out[key] = v;
+      else if (isRecord(v) && isRecord(base[key])) {
+        const rest = withoutDefaults(v, base[key]);
+        if (Object.keys(rest).length) out[key] = rest;
+      } else if (JSON.stringify(v) !== JSON.stringify(base[key])) out[key] = v;
+    }
+    return out;
   }
 
-  // ─── GAME SCREEN ──────────────────────────────────────────
+  /** Put back the fields withoutDefaults left out */
+  function withDefaults(value, base) {
+    for (const [key, v] of Object.entries(base)) {
+      if (!(key in value)) value[key] = v;
+      else if (isRecord(value[key]) && isRecord(v)) withDefaults(value[key], v);
+    }
+    return value;
+  }
 
-  /** Get current event from the combined deck */
-  function currentEvent() {
-    const g = state.game;
-    const entry = g.eventDeck[g.eventIndex];
-    if (!entry) return null;
-    const events = entry.type === 'day' ? DAY_EVENTS : NIGHT_EVENTS;
-    const ev = events.find(e => e.id === entry.eventId);
-    return ev ? { ...ev, type: entry.type } : null;
+  function packState(s) {
+    s.log = [];
+    s.game.eventDeck = s.game.eventDeck.map(e => (e.type === 'night' ? 'n' : 'd') + e.eventId);
+    // The version always travels: a newer app must still run the migrations
+    return { ...withoutDefaults(s, defaultState()), schemaVersion: s.schemaVersion };
   }
 
-  function renderGame() {
-    const g = state.game;
-    const isDay = g.timeOfDay === 'day';
-    const ev = currentEvent();
+  function unpackState(s) {
+    if (!isRecord(s)) return s;
+    const game = isRecord(s.game) ? s.game : {};
+    if (Array.isArray(game.eventDeck)) {
+      game.eventDeck = game.eventDeck.map(e => typeof e === 'string'
+        ? { type: e[0] === 'n' ? 'night' : 'day', eventId: parseInt(e.slice(1)) }
+        : e);
+    }
+    return withDefaults(s, defaultState());
+  }
 
-    // Header
-    const label = isDay
-      ? `☀️ Día ${g.currentDay} / 12`
-      : `🌙 Noche`;
-    document.getElementById('game-day-label').textContent = label;
-    document.getElementById('btn-advance').textContent = 'Avanzar';
+  function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin);
+  }
 
-    // Event card — always show if digitalEvents is on
-    renderEventCard(ev);
+  function fromBase64(b64) {
+    const bin = atob(b64);
+    return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+  }
 
-    // Monster section — only on day + digitalMonsters
-    renderMonsterSection(ev);
+  function shareCode() {
+    return SHARE_PREFIX + toBase64(JSON.stringify(exportEnvelope(true)));
+  }
 
-    // Players
-    renderPlayerCards();
+  function downloadFile(name, text, type) {
+    const blob = new Blob([text], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
 
-    // Flush notifications
-    flushNotifications();
+  function downloadExport() {
+    downloadFile(`tornaris-dia-${state.game.currentDay}.json`,
+      JSON.stringify(exportEnvelope(false), null, 2), 'application/json');
   }
 
-  function renderEventCard(ev) {
-    const section = document.getElementById('event-section');
+  function openExport() {
+    const body = document.createElement('div');
+    body.className = 'share-box';
+    body.innerHTML = `
+      <p class="card-hint">Descargá un respaldo o copiá el código para seguir en otro dispositivo.</p>
+      <textarea class="share-code" readonly rows="4"></textarea>
+    `;
+    const code = body.querySelector('.share-code');
+    code.value = shareCode();
+    if (code.value.length > QR_MAX_BYTES) {
+      body.insertAdjacentHTML('beforeend', '<p class="card-hint">El código es demasiado largo para un QR: usá el archivo o copialo.</p>');
+    }
+    showModal('Exportar Partida', body, [
+      { label: 'Copiar código', action: () => {
+        if (navigator.clipboard) navigator.clipboard.writeText(code.value).catch(() => {});
+      }},
+      { label: 'Descargar', primary: true, action: downloadExport },
+    ]);
+  }
 
-    if (!ev) {
-      section.style.display = 'none';
+  /**
+   * Parse a file or share code into a migrated state.
+   * Accepts the export envelope as well as a bare state copied out of localStorage.
+   */
+  function parseImport(text) {
+    let data;
+    const trimmed = text.trim();
+    try {
+      data = JSON.parse(trimmed.startsWith(SHARE_PREFIX)
+        ? fromBase64(trimmed.slice(SHARE_PREFIX.length))
+        : trimmed);
+    } catch (e) {
+      throw new Error('El archivo o código no se puede leer.');
+    }
+    if (data && data.format === EXPORT_FORMAT) {
+      if (data.version > EXPORT_VERSION) throw new Error('La partida es de una versión más nueva de la app.');
+      data = data.packed ? unpackState(data.state) : data.state;
+    }
+    return upgradeState(data);
+  }
+
+  function importGame(text) {
+    let imported;
+    try { imported = parseImport(text); }
+    catch (e) {
+      showModal('No se pudo importar', e.message, [{ label: 'Cerrar', primary: true }]);
       return;
     }
+    const names = imported.players.map(p => p.name).join(', ') || 'sin jugadores';
+    const when = imported.phase === 'setup' ? 'sin empezar' : `día ${imported.game.currentDay}`;
+    showModal('Importar Partida', `${names} — ${when}. Se agrega a tus partidas guardadas.`, [
+      { label: 'Cancelar' },
+      { label: 'Importar', primary: true, action: () => {
+        // An untouched setup was only a stepping stone to the import
+        const replaced = isBlankSetup() ? currentGameId : null;
+        const id = addGame(imported, 'Partida importada');
+        if (!id) return;
+        openGame(id);
+        if (replaced) deleteGame(replaced);
+      }},
+    ]);
+  }
+
+  function openImportCode() {
+    const body = document.createElement('div');
+    body.className = 'share-box';
+    body.innerHTML = '<textarea class="share-code" rows="4" placeholder="TORNARIS:…"></textarea>';
+    const code = body.querySelector('.share-code');
+    showModal('Pegar Código', body, [
+      { label: 'Cancelar' },
+      { label: 'Importar', primary: true, action: () => importGame(code.value) },
+    ]);
+  }
+
+  function importFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => importGame(String(reader.result));
+    reader.readAsText(file);
+  }
+
+  // ─── LIBRARY ──────────────────────────────────────────────
+
+  // Every game lives under its own key; the index keeps what the library
+  // screen lists so it doesn't have to parse every save.
+  const LIBRARY_KEY = 'tornaris_games';
+  const CURRENT_KEY = 'tornaris_current';
+
+  let library = [];   // [{ id, name, createdAt, updatedAt, archived, players, phase, day, timeOfDay }]
+  let showArchived = false;
+
+  function loadLibrary() {
+    try {
+      const raw = localStorage.getItem(LIBRARY_KEY);
+      const saved = raw ? JSON.parse(raw) : null;
+      library = Array.isArray(saved) ? saved : [];
+    } catch (e) { library = []; }
+  }
+
+  function saveLibrary() {
+    try { localStorage.setItem(LIBRARY_KEY, JSON.stringify(library)); }
+    catch (e) { console.warn('localStorage unavailable', e); }
+  }
+
+  function setCurrentGame(id) {
+    currentGameId = id;
+    try {
+      if (id) localStorage.setItem(CURRENT_KEY, id);
+      else localStorage.removeItem(CURRENT_KEY);
+    } catch (_) {}
+  }
+
+  function newGameId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function librarySummary(s) {
+    return {
+      players: (Array.isArray(s.players) ? s.players : []).filter(isRecord).map(p => ({ name: p.name, characterId: p.characterId })),
+      phase: s.phase,
+      day: isRecord(s.game) ? s.game.currentDay : 0,
+      timeOfDay: isRecord(s.game) ? s.game.timeOfDay : 'day',
+    };
+  }
+
+  function touchLibraryEntry() {
+    const entry = library.find(e => e.id === currentGameId);
+    if (!entry) return;
+    Object.assign(entry, librarySummary(state), { updatedAt: Date.now() });
+    saveLibrary();
+  }
+
+  /** Store `s` as a new saved game and return its id, or null (after telling the user) when it doesn't fit */
+  function addGame(s, name) {
+    const id = newGameId();
+    const now = Date.now();
+    if (!storeWithRoom(gameKey(id), JSON.stringify(s))) {
+      showModal('No se pudo guardar',
+        'El almacenamiento del navegador está lleno. Exportá o eliminá partidas viejas y volvé a intentarlo.',
+        [{ label: 'Cerrar', primary: true }]);
+      return null;
+    }
+    library.push({ id, name: name || `Partida ${library.length + 1}`, createdAt: now, updatedAt: now, archived: false, ...librarySummary(s) });
+    saveLibrary();
+    return id;
+  }
+
+  /** Load a saved game and show it where it was left. Returns false if it can't be read. */
+  function openGame(id) {
+    const saved = loadState(id);
+    let loaded;
+    try {
+      if (!saved) throw new Error('No se encontró la partida.');
+      loaded = upgradeState(saved);
+    } catch (e) {
+      showModal('No se pudo abrir la partida', e.message, [{ label: 'Cerrar', primary: true }]);
+      return false;
+    }
+    fillSetupSlots(loaded);
+    state = loaded;
+    setCurrentGame(id);
+    loadHistory();
+    saveState();
+    renderAll();
+    if (state.phase !== 'game') flushNotifications();
+    return true;
+  }
+
+  function newGame() {
+    const id = addGame(blankState());
+    if (id) openGame(id);
+  }
+
+  function isBlankSetup() {
+    return state && state.phase === 'setup' && state.players.every(p => !p.name.trim() && !p.characterId);
+  }
+
+  function duplicateGame(id) {
+    const entry = library.find(e => e.id === id);
+    const saved = loadState(id);
+    if (!entry || !saved) return;
+    if (addGame(saved, `${entry.name} (copia)`)) renderLibrary();
+  }
+
+  function deleteGame(id) {
+    try {
+      localStorage.removeItem(gameKey(id));
+      localStorage.removeItem(historyKey(id));
+    } catch (_) {}
+    library = library.filter(e => e.id !== id);
+    saveLibrary();
+  }
+
+  function renameGame(id) {
+    const entry = library.find(e => e.id === id);
+    if (!entry) return;
+    const body = document.createElement('div');
+    body.innerHTML = '<input type="text" class="player-name-input library-rename" maxlength="40" />';
+    const input = body.querySelector('input');
+    input.value = entry.name;
+    showModal('Renombrar Partida', body, [
+      { label: 'Cancelar' },
+      { label: 'Guardar', primary: true, action: () => {
+        entry.name = input.value.trim() || entry.name;
+        saveLibrary();
+        renderLibrary();
+      }},
+    ]);
+  }
+
+  /** Migrate the single pre-library save into the library */
+  function migrateLegacySave() {
+    let raw, history;
+    try {
+      raw = localStorage.getItem('tornaris_state');
+      history = localStorage.getItem('tornaris_history');
+    } catch (_) { return; }
+    if (!raw) return;
+    let parsed = null;
+    try { parsed = JSON.parse(raw); } catch (_) {}
+    const id = newGameId();
+    const now = Date.now();
+    try {
+      localStorage.setItem(gameKey(id), raw);
+      if (history) localStorage.setItem(historyKey(id), history);
+      localStorage.removeItem('tornaris_state');
+      localStorage.removeItem('tornaris_history');
+    } catch (_) { return; }
+    const summary = parsed && !validateState(parsed) ? librarySummary(parsed) : librarySummary({});
+    library.push({ id, name: `Partida ${library.length + 1}`, createdAt: now, updatedAt: now, archived: false, ...summary });
+    saveLibrary();
+    setCurrentGame(id);
+  }
+
+  function libraryStatus(entry) {
+    switch (entry.phase) {
+      case 'setup':         return 'Sin empezar';
+      case 'game':          return entry.timeOfDay === 'day' ? `☀️ Día ${entry.day}` : `🌙 Noche ${entry.day}`;
+      case 'duel':          return `⚔️ Duelo · día ${entry.day}`;
+      case 'monsterCombat': return `🐉 Mazmorra · día ${entry.day}`;
+      case 'tournament':    return '🏆 Torneo';
+      case 'champion':      return '👑 Terminada';
+      default:              return '';
+    }
+  }
+
+  function showLibrary() {
+    setCurrentGame(null);
+    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+    document.getElementById('screen-library').classList.add('active');
+    renderLibrary();
+  }
+
+  function renderLibrary() {
+    const list = document.getElementById('library-list');
+    const archivedCount = library.filter(e => e.archived).length;
+    const entries = library
+      .filter(e => showArchived || !e.archived)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const fmt = at => new Date(at).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+    list.innerHTML = entries.length === 0
+      ? '<div class="card library-empty">Todavía no hay partidas guardadas.</div>'
+      : entries.map(e => `
+        <div class="card library-card${e.archived ? ' archived' : ''}">
+          <div class="library-card-head">
+            <span class="library-name">${escHtml(e.name)}</span>
+            <span class="library-status">${libraryStatus(e)}</span>
+          </div>
+          <div class="library-players">
+            ${e.players.filter(p => p.name).map(p => `${getChar(p.characterId)?.emoji ?? ''} ${escHtml(p.name)}`).join(' · ') || 'Sin jugadores'}
+          </div>
+          <div class="library-meta">Última vez: ${fmt(e.updatedAt)}</div>
+          <div class="library-actions">
+            <button class="btn btn-primary btn-sm" data-action="resume" data-id="${e.id}">Continuar</button>
+            <button class="btn btn-ghost btn-sm" data-action="duplicate" data-id="${e.id}">Duplicar</button>
+            <button class="btn btn-ghost btn-sm" data-action="rename" data-id="${e.id}">Renombrar</button>
+            <button class="btn btn-ghost btn-sm" data-action="archive" data-id="${e.id}">${e.archived ? 'Desarchivar' : 'Archivar'}</button>
+            <button class="btn btn-ghost btn-sm" data-action="delete" data-id="${e.id}">Eliminar</button>
+          </div>
+        </div>`).join('');
+
+    const toggle = document.getElementById('btn-library-archived');
+    toggle.style.display = archivedCount > 0 ? 'inline-flex' : 'none';
+    toggle.textContent = showArchived ? 'Ocultar archivadas' : `Ver archivadas (${archivedCount})`;
+  }
+
+  function handleLibraryAction(action, id) {
+    const entry = library.find(e => e.id === id);
+    if (!entry) return;
+    switch (action) {
+      case 'resume':    openGame(id); break;
+      case 'duplicate': duplicateGame(id); break;
+      case 'rename':    renameGame(id); break;
+      case 'archive':
+        entry.archived = !entry.archived;
+        saveLibrary();
+        renderLibrary();
+        break;
+      case 'delete':
+        showModal('Eliminar Partida', `¿Eliminar "${entry.name}"? No se puede deshacer.`, [
+          { label: 'Cancelar' },
+          { label: 'Eliminar', primary: true, action: () => { deleteGame(id); renderLibrary(); } },
+        ]);
+        break;
+    }
+  }
+
+  // ─── PROFILES & RESULTS ───────────────────────────────────
+
+  // Profiles and finished-game results are shared by every game on this
+  // device. Players link to a profile by name; results keep the name too so
+  // they still read right after a profile is deleted.
+  const PROFILES_KEY = 'tornaris_profiles';
+  const RESULTS_KEY = 'tornaris_results';
+  const PROFILE_COLORS = ['#c9a84c', '#7b5ea7', '#e05252', '#4caf84', '#87ceeb', '#ff9800'];
+
+  let profiles = [];  // [{ id, name, color, avatar, characterId, createdAt }]
+  let results = [];   // one record per finished game, see recordGameResult
+
+  function loadProfiles() {
+    const read = key => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(key) || 'null');
+        return Array.isArray(saved) ? saved : [];
+      } catch (e) { return []; }
+    };
+    profiles = read(PROFILES_KEY);
+    results = read(RESULTS_KEY);
+  }
+
+  function saveProfiles() {
+    try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); }
+    catch (e) { console.warn('localStorage unavailable', e); }
+  }
+
+  function saveResults() {
+    try { localStorage.setItem(RESULTS_KEY, JSON.stringify(results)); }
+    catch (e) { console.warn('localStorage unavailable', e); }
+  }
+
+  function findProfile(name) {
+    const key = (name || '').trim().toLowerCase();
+    return key ? profiles.find(pr => pr.name.toLowerCase() === key) : undefined;
+  }
+
+  /** The profile for `name`, created with `characterId` as its favourite if new */
+  function ensureProfile(name, characterId) {
+    let profile = findProfile(name);
+    if (!profile) {
+      profile = {
+        id: newGameId(), name: name.trim(),
+        color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length],
+        avatar: '', characterId: characterId || '', createdAt: Date.now(),
+      };
+      profiles.push(profile);
+      saveProfiles();
+    }
+    return profile;
+  }
+
+  /** Link a setup slot to the profile its name matches and prefill the favourite character */
+  function applyProfile(idx) {
+    const player = state.players[idx];
+    const profile = findProfile(player.name);
+    player.profileId = profile ? profile.id : null;
+    if (profile && !player.characterId && profile.characterId &&
+        !state.players.some(p => p.characterId === profile.characterId)) {
+      player.characterId = profile.characterId;
+    }
+  }
+
+  function profileBadge(profile, fallback) {
+    if (!profile) return escHtml(String(fallback));
+    const mark = profile.avatar || profile.name.charAt(0).toUpperCase();
+    return `<span class="profile-badge" style="background:${escHtml(profile.color)}">${escHtml(mark)}</span>`;
+  }
+
+  /** Store the outcome of the open game; finishing it again replaces the record */
+  function recordGameResult() {
+    const { stats } = chronicleStats();
+    const t = state.tournament;
+    const g = state.game;
+    const entry = library.find(e => e.id === currentGameId);
+    const record = {
+      gameId: currentGameId,
+      name: entry ? entry.name : '',
+      finishedAt: Date.now(),
+      playerCount: state.players.length,
+      format: t.format,
+      seeding: t.seeding,
+      options: { ...state.options },
+      players: state.players.map(p => ({
+        profileId: p.profileId ?? ensureProfile(p.name, p.characterId).id,
+        name: p.name,
+        characterId: p.characterId,
+        seedRank: t.seeds.find(sd => sd.playerId === p.id)?.seedRank ?? null,
+        champion: p.id === t.championId,
+        gold: p.gold,
+        equipment: [...p.equipment],
+        ...stats[p.id],
+      })),
+      monsters: state.log.filter(e => e.type === 'monster').map(e => ({ monsterId: e.monsterId, defeated: e.defeated })),
+      events: g.eventDeck.slice(0, g.eventIndex + 1),
+    };
+    results = results.filter(r => !r.gameId || r.gameId !== record.gameId);
+    results.push(record);
+    saveResults();
+  }
+
+  function showStats() {
+    setCurrentGame(null);
+    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+    document.getElementById('screen-stats').classList.add('active');
+    renderStats();
+  }
+
+  function renderStats() {
+    const sorted = [...results].sort((a, b) => a.finishedAt - b.finishedAt);
+    const pct = (n, d) => d ? `${Math.round(n / d * 100)}%` : '—';
+    document.getElementById('stats-summary').textContent = sorted.length
+      ? `${sorted.length} partidas terminadas · ${profiles.length} perfiles`
+      : 'Todavía no hay partidas terminadas. Los resultados se guardan al coronar al campeón.';
+
+    // Per player, in profile order; results of deleted profiles are left out
+    const playerRows = profiles.map(pr => {
+      const games = sorted.flatMap(r => r.players.filter(p => p.profileId === pr.id));
+      if (games.length === 0) return '';
+      const titles = games.filter(p => p.champion).length;
+      const avgGold = games.reduce((sum, p) => sum + (p.gold || 0), 0) / games.length;
+      const slain = games.slice(-10).map(p => p.monstersDefeated || 0);
+      const top = Math.max(1, ...slain);
+      return `<tr>
+        <td>${profileBadge(pr)} ${escHtml(pr.name)}</td>
+        <td>${games.length}</td><td>${titles}</td><td>${pct(titles, games.length)}</td>
+        <td>${avgGold.toFixed(1)}</td>
+        <td><span class="stats-spark" title="Monstruos derrotados en las últimas partidas">${slain.map(n =>
+          `<span style="height:${Math.round(n / top * 100)}%"></span>`).join('')}</span></td>
+      </tr>`;
+    }).join('');
+    document.getElementById('stats-players').innerHTML = playerRows && `
+      <thead><tr><th>Jugador</th><th>Partidas</th><th>Títulos</th><th>% Vict.</th><th>Oro prom.</th><th>Monstruos</th></tr></thead>
+      <tbody>${playerRows}</tbody>`;
+
+    renderAnalytics();
+
+    document.getElementById('stats-profiles').innerHTML = profiles.length === 0
+      ? '<p class="card-hint">Los perfiles se crean al comenzar una partida con un nombre nuevo.</p>'
+      : profiles.map(pr => `
+        <div class="profile-row" data-id="${pr.id}">
+          <input type="color" class="profile-color" value="${escHtml(pr.color)}" aria-label="Color" />
+          <input type="text" class="player-name-input profile-avatar" value="${escHtml(pr.avatar)}" maxlength="2" placeholder="${escHtml(pr.name.charAt(0).toUpperCase())}" aria-label="Avatar" />
+          <span class="profile-name">${escHtml(pr.name)}</span>
+          <select class="character-select profile-character" aria-label="Personaje favorito">
+            <option value="">— Favorito —</option>
+            ${CHARACTERS.map(c => `<option value="${c.id}" ${c.id === pr.characterId ? 'selected' : ''}>${c.emoji} ${c.name}</option>`).join('')}
+          </select>
+          <button class="btn-remove-player profile-delete" aria-label="Eliminar perfil">✕</button>
+        </div>`).join('');
+  }
+
+  function handleProfileChange(target) {
+    const row = target.closest('.profile-row');
+    const profile = row && profiles.find(pr => pr.id === row.dataset.id);
+    if (!profile) return;
+    if (target.classList.contains('profile-color')) profile.color = target.value;
+    else if (target.classList.contains('profile-avatar')) profile.avatar = target.value.trim();
+    else if (target.classList.contains('profile-character')) profile.characterId = target.value;
+    else return;
+    saveProfiles();
+    renderStats();
+  }
+
+  function deleteProfile(id) {
+    const profile = profiles.find(pr => pr.id === id);
+    if (!profile) return;
+    showModal('Eliminar Perfil', `¿Eliminar el perfil de "${profile.name}"? Sus partidas dejan de contar en las estadísticas.`, [
+      { label: 'Cancelar' },
+      { label: 'Eliminar', primary: true, action: () => {
+        profiles = profiles.filter(pr => pr.id !== id);
+        saveProfiles();
+        renderStats();
+      }},
+    ]);
+  }
+
+  // ─── ANALYTICS ────────────────────────────────────────────
+
+  // Balance tables over the finished games in `results`. Each table is
+  // { title, headers, rows } so the same data feeds the stats screen and the
+  // CSV export; rates are percentages and null cells mean "no data".
+
+  const rate = (n, d) => d ? Math.round(n / d * 1000) / 10 : null;
+
+  function characterTable() {
+    const counts = [...new Set(results.map(r => r.playerCount))].sort((a, b) => a - b);
+    const rows = CHARACTERS.map(c => {
+      const seats = results.flatMap(r => r.players.filter(p => p.characterId === c.id).map(p => ({ ...p, playerCount: r.playerCount })));
+      if (seats.length === 0) return null;
+      const titles = seats.filter(p => p.champion).length;
+      const expected = seats.reduce((sum, p) => sum + 1 / p.playerCount, 0);
+      const byCount = counts.map(n => {
+        const at = seats.filter(p => p.playerCount === n);
+        return rate(at.filter(p => p.champion).length, at.length);
+      });
+      return [`${c.emoji} ${c.name}`, seats.length, titles, rate(titles, seats.length), rate(expected, seats.length), ...byCount];
+    }).filter(Boolean);
+    return {
+      title: 'Victorias por personaje',
+      hint: '"Esperado" es lo que ganaría si todos tuvieran las mismas chances.',
+      headers: ['Personaje', 'Partidas', 'Títulos', '% Vict.', '% Esperado', ...counts.map(n => `% ${n}j`)],
+      rows,
+    };
+  }
+
+  function seedTable() {
+    const seats = results.flatMap(r => r.players.filter(p => p.seedRank != null).map(p => ({ ...p, playerCount: r.playerCount })));
+    const ranks = [...new Set(seats.map(p => p.seedRank))].sort((a, b) => a - b);
+    return {
+      title: 'Victorias por posición de siembra',
+      headers: ['Siembra', 'Partidas', 'Títulos', '% Vict.', '% Esperado'],
+      rows: ranks.map(rank => {
+        const at = seats.filter(p => p.seedRank === rank);
+        const titles = at.filter(p => p.champion).length;
+        return [`#${rank}`, at.length, titles, rate(titles, at.length), rate(at.reduce((sum, p) => sum + 1 / p.playerCount, 0), at.length)];
+      }),
+    };
+  }
+
+  function monsterTable() {
+    const fights = {};
+    for (const r of results) {
+      for (const m of r.monsters || []) {
+        const f = fights[m.monsterId] || (fights[m.monsterId] = { total: 0, failed: 0 });
+        f.total++;
+        if (!m.defeated) f.failed++;
+      }
+    }
+    const rows = Object.entries(fights).map(([id, f]) => {
+      const m = getMonster(Number(id));
+      return [m ? m.name : `#${id}`, m ? m.tier : '', f.total, f.failed, rate(f.failed, f.total)];
+    });
+    rows.sort((a, b) => b[4] - a[4] || b[2] - a[2]);
+    return {
+      title: 'Monstruos que más fallan',
+      headers: ['Monstruo', 'Categoría', 'Combates', 'Fallidos', '% Fallo'],
+      rows,
+    };
+  }
+
+  function eventTable() {
+    // Only games with digital events drew their cards from the app's deck
+    const games = results.filter(r => r.options?.digitalEvents);
+    const decks = [['day', DAY_EVENTS], ['night', NIGHT_EVENTS]];
+    const deckSize = decks.reduce((sum, [, events]) => sum + events.reduce((n, ev) => n + ev.count, 0), 0);
+    const drawn = games.reduce((sum, r) => sum + r.events.length, 0);
+    const rows = decks.flatMap(([type, events]) => events.map(ev => {
+      const seen = games.reduce((n, r) => n + r.events.filter(e => e.type === type && e.eventId === ev.id).length, 0);
+      const expected = drawn * ev.count / deckSize;
+      return [`${type === 'day' ? '☀️' : '🌙'} ${ev.name}`, ev.count, seen,
+        Math.round(expected * 10) / 10, expected ? Math.round(seen / expected * 100) / 100 : null];
+    }));
+    return {
+      title: 'Eventos: apariciones vs. peso',
+      hint: `${games.length} partidas con eventos digitales. "Esperado" reparte las cartas robadas según el peso de cada carta.`,
+      headers: ['Evento', 'Peso', 'Vistos', 'Esperado', 'Vistos / Esperado'],
+      rows,
+    };
+  }
+
+  function equipmentTable() {
+    // Equipment is only known in games played with full tracking
+    const seats = results.filter(r => r.options?.fullTracking).flatMap(r => r.players);
+    const rows = EQUIPMENT.map(eq => {
+      const owners = seats.filter(p => (p.equipment || []).includes(eq.id));
+      const titles = owners.filter(p => p.champion).length;
+      return [eq.name, eq.price, owners.length, rate(owners.length, seats.length), titles, rate(titles, owners.length)];
+    }).filter(row => row[2] > 0);
+    rows.sort((a, b) => b[2] - a[2]);
+    return {
+      title: 'Equipamiento en el torneo',
+      hint: 'Cartas en mano al terminar el torneo, en partidas con tracking completo.',
+      headers: ['Equipamiento', 'Precio', 'Jugadores', '% Jugadores', 'Títulos', '% Vict. dueños'],
+      rows,
+    };
+  }
+
+  function analyticsTables() {
+    return [characterTable(), seedTable(), monsterTable(), eventTable(), equipmentTable()];
+  }
+
+  /** Render { title, headers, rows } tables as cards into `container` */
+  function renderTables(container, tables) {
+    const cell = v => v == null ? '—' : escHtml(String(v));
+    container.innerHTML = tables.map(t => `
+      <div class="card">
+        <h3 class="card-title">${t.title}</h3>
+        ${t.hint ? `<p class="card-hint">${escHtml(t.hint)}</p>` : ''}
+        ${t.rows.length === 0 ? '<p class="card-hint">Sin datos todavía.</p>' : `
+        <div class="stats-scroll">
+          <table class="conversion-table">
+            <thead><tr>${t.headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${t.rows.map(row => `<tr>${row.map(v => `<td>${cell(v)}</td>`).join('')}</tr>`).join('')}</tbody>
+          </table>
+        </div>`}
+      </div>`).join('');
+  }
+
+  function renderAnalytics() {
+    renderTables(document.getElementById('stats-analytics'), analyticsTables());
+    document.getElementById('btn-stats-csv').disabled = results.length === 0;
+  }
+
+  function analyticsCsv() {
+    const field = v => {
+      let text = v == null ? '' : String(v);
+      // Spreadsheets run cells starting with = + - @ as formulas; plain numbers stay as they are
+      if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?%?$/.test(text)) text = `'${text}`;
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const line = cells => cells.map(field).join(',');
+    // BOM so spreadsheets read the file as UTF-8 (accents, emoji)
+    return '\uFEFF' + analyticsTables()
+      .map(t => [line([t.title]), line(t.headers), ...t.rows.map(line)].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  function exportAnalyticsCsv() {
+    downloadFile(`tornaris-estadisticas-${new Date().toISOString().slice(0, 10)}.csv`, analyticsCsv(), 'text/csv');
+  }
+
+  // ─── SIMULATOR ────────────────────────────────────────────
+
+  // Monte Carlo dungeon fights for tuning MONSTERS and EQUIPMENT. Fights go
+  // through the same MONSTER_RULES as the combat screen; choices players make
+  // at the table are left at their neutral value (no wager, nobody sides with
+  // the monster) and monsters with special HP are not simulated.
+  const SIM_PLAYER_COUNTS = [3, 4, 5, 6];
+  const SIM_MAX_RUNS = 5000;
+  const SIM_SLICE_FIGHTS = 500;    // fights per slice before yielding to the page
+
+  /** Read the simulator form: { combatants, dice, bonus, runs } */
+  function simulatorOptions() {
+    const num = (id, min, max, fallback) => {
+      const v = parseInt(document.getElementById(id).value);
+      return Number.isNaN(v) ? fallback : Math.min(max, Math.max(min, v));
+    };
+    return {
+      combatants: num('sim-combatants', 1, 6, 2),
+      dice: num('sim-dice', 0, 10, 2),
+      bonus: num('sim-bonus', 0, 50, 0),
+      runs: num('sim-runs', 100, SIM_MAX_RUNS, 1000),
+    };
+  }
+
+  /** Dice and equipment for one combatant, following the monster's dice rules */
+  function simulatedScore(monster, idx, combatantCount, stage, opts) {
+    const rules = monster.rules || [];
+    const has = type => rules.find(r => r.type === type);
+    let count = has('dice') ? has('dice').count : opts.dice;
+    if (has('firstSidesWithMonster') && idx === 0) count = has('firstSidesWithMonster').dicePerOther * (combatantCount - 1);
+    const fixed = has('fixedDice');
+    const dice = Array.from({ length: count }, () => fixed ? fixed.value : rollDie());
+    if (has('rerollHighest') && dice.length > 0) dice[dice.indexOf(Math.max(...dice))] = rollDie();
+    const noEquipment = has('noEquipment') || (has('secondPhase') && stage === 2);
+    return dice.reduce((sum, v) => sum + v, 0) + (noEquipment ? 0 : opts.bonus);
+  }
+
+  /** Whether one simulated fight beats the monster */
+  function simulateFight(monster, playerCount, opts) {
+    const seated = Array.from({ length: playerCount }, (_, id) => ({ id, name: `J${id + 1}`, gold: 0 }));
+    const combatants = seated.slice(0, opts.combatants);
+    const absent = seated.slice(opts.combatants);
+    const baseHP = computeHP(monster, playerCount, false);
+    for (let stage = 1; stage <= 2; stage++) {
+      const scores = {};
+      combatants.forEach((p, idx) => { scores[p.id] = simulatedScore(monster, idx, combatants.length, stage, opts); });
+      const inputs = (monster.rules || []).map(rule => rule.type === 'hpRoll' ? rollDie() : undefined);
+      const res = applyMonsterRules(monster, baseHP, { mc: { stage }, combatants, absent, scores }, inputs);
+      if (!res.defeated) return false;
+      if (!(monster.rules || []).some(r => r.type === 'secondPhase')) return true;
+    }
+    return true;
+  }
+
+  /**
+   * Success rate per monster and player count, null where it can't be
+   * simulated (special HP, fewer combatants than `minPlayers`, more than sit
+   * at the table). Runs in slices of SIM_SLICE_FIGHTS so the page stays
+   * responsive: `onProgress(fraction)` after each slice, `done(odds)` at the end.
+   */
+  function monsterOdds(opts, onProgress, done) {
+    const odds = MONSTERS.map(monster => ({ monster, odds: SIM_PLAYER_COUNTS.map(() => null) }));
+    const cells = [];
+    odds.forEach((row, m) => SIM_PLAYER_COUNTS.forEach((n, c) => {
+      const { monster } = row;
+      if (monster.hp === null || opts.combatants > n || opts.combatants < (monster.minPlayers || 1)) return;
+      cells.push({ m, c, n, wins: 0, runs: 0 });
+    }));
+
+    let next = 0;
+    const slice = () => {
+      let budget = SIM_SLICE_FIGHTS;
+      while (next < cells.length && budget > 0) {
+        const cell = cells[next];
+        const batch = Math.min(budget, opts.runs - cell.runs);
+        for (let i = 0; i < batch; i++) if (simulateFight(odds[cell.m].monster, cell.n, opts)) cell.wins++;
+        cell.runs += batch;
+        budget -= batch;
+        if (cell.runs === opts.runs) {
+          odds[cell.m].odds[cell.c] = cell.wins / opts.runs;
+          next++;
+        }
+      }
+      onProgress(cells.length ? next / cells.length : 1);
+      if (next < cells.length) setTimeout(slice, 0);
+      else done(odds);
+    };
+    setTimeout(slice, 0);
+  }
+
+  /** Chance of beating the monster at each position of a deck from buildMonsterDeck */
+  function deckCurve(odds, opts) {
+    const byId = new Map(odds.map(o => [o.monster.id, o.odds]));
+    const curve = [];   // per position: { tier, cells: [{ sum, n }] per player count }
+    for (let i = 0; i < opts.runs; i++) {
+      buildMonsterDeck().forEach((id, pos) => {
+        const slot = curve[pos] || (curve[pos] = { tier: getMonster(id).tier, cells: SIM_PLAYER_COUNTS.map(() => ({ sum: 0, n: 0 })) });
+        byId.get(id).forEach((p, c) => {
+          if (p === null) return;
+          slot.cells[c].sum += p;
+          slot.cells[c].n++;
+        });
+      });
+    }
+    return curve.map(slot => ({ tier: slot.tier, odds: slot.cells.map(({ sum, n }) => n ? sum / n : null) }));
+  }
+
+  function simulatorTables(opts, odds) {
+    const pct = p => p === null ? null : Math.round(p * 1000) / 10;
+    const headers = SIM_PLAYER_COUNTS.map(n => `% ${n}j`);
+    return [
+      {
+        title: 'Probabilidad de victoria por monstruo',
+        hint: `${opts.combatants} combatiente(s) · ${opts.dice} dados · +${opts.bonus} de equipamiento · ${opts.runs} combates por celda. — : vida especial o combatientes fuera de lo que permite el monstruo.`,
+        headers: ['Monstruo', 'Categoría', 'Vida', ...headers],
+        rows: odds.map(({ monster, odds: o }) => [monster.name, monster.tier, monster.hp ?? 'Especial', ...o.map(pct)]),
+      },
+      {
+        title: 'Curva de dificultad del mazo',
+        hint: 'Probabilidad media en cada posición de un mazo armado como en la partida (3 monstruos por categoría).',
+        headers: ['Posición', 'Categoría', ...headers],
+        rows: deckCurve(odds, opts).map((slot, pos) => [pos + 1, slot.tier, ...slot.odds.map(pct)]),
+      },
+    ];
+  }
+
+  let simulating = false;
+
+  function runSimulator() {
+    if (simulating) return;
+    simulating = true;
+    const opts = simulatorOptions();
+    const btn = document.getElementById('btn-sim-run');
+    btn.disabled = true;
+    const progress = fraction => { btn.textContent = `Simulando… ${Math.round(fraction * 100)}%`; };
+    progress(0);
+    monsterOdds(opts, progress, odds => {
+      renderTables(document.getElementById('sim-results'), simulatorTables(opts, odds));
+      btn.disabled = false;
+      btn.textContent = '🎲 Simular';
+      simulating = false;
+    });
+  }
+
+  // ─── Navigation ───────────────────────────────────────────
+
+  function navigateTo(phase) {
+    state.phase = phase;
+    saveState();
+    renderAll();
+  }
+
+  function renderAll() {
+    document.body.setAttribute('data-time', state.game.timeOfDay);
+
+    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+    const map = {
+      setup:          'screen-setup',
+      game:           'screen-game',
+      duel:           'screen-duel',
+      monsterCombat:  'screen-monster-combat',
+      tournament:     'screen-tournament',
+      champion:       'screen-tournament',
+    };
+    const id = map[state.phase] || 'screen-setup';
+    const el = document.getElementById(id);
+    if (el) el.classList.add('active');
+    updateHistoryButtons();
+
+    switch (state.phase) {
+      case 'setup':         renderSetup(); break;
+      case 'game':          renderGame(); break;
+      case 'duel':          renderDuel(); break;
+      case 'monsterCombat': renderMonsterCombat(); break;
+      case 'tournament':    renderTournament(); break;
+    }
+  }
+
+  // ─── SETUP ────────────────────────────────────────────────
+
+  function renderSetup() {
+    document.getElementById('opt-monsters').checked = state.options.digitalMonsters;
+    document.getElementById('opt-events').checked   = state.options.digitalEvents;
+    document.getElementById('opt-tracking').checked  = state.options.fullTracking;
+    document.getElementById('opt-dice').checked      = state.options.digitalDice;
+    renderPlayerSlots();
+    updateStartButton();
+  }
+
+  function renderPlayerSlots() {
+    const container = document.getElementById('player-slots');
+    container.innerHTML = '';
+    const usedCharIds = state.players.map(p => p.characterId);
+
+    // Name suggestions: saved profiles not already seated
+    document.getElementById('profile-names').innerHTML = profiles
+      .filter(pr => !state.players.some(p => p.profileId === pr.id))
+      .map(pr => `<option value="${escHtml(pr.name)}"></option>`).join('');
+
+    state.players.forEach((player, idx) => {
+      const div = document.createElement('div');
+      div.className = 'player-slot';
+      div.innerHTML = `
+        <span class="player-slot-num">${profileBadge(profiles.find(pr => pr.id === player.profileId), idx + 1)}</span>
+        <input type="text" class="player-name-input" placeholder="Nombre" maxlength="20" list="profile-names"
+          value="${escHtml(player.name)}" data-idx="${idx}" />
+        <select class="character-select" data-idx="${idx}">
+          <option value="">— Clase —</option>
+          ${CHARACTERS.map(c => {
+            const taken = usedCharIds.includes(c.id) && c.id !== player.characterId;
+            return `<option value="${c.id}" ${c.id === player.characterId ? 'selected' : ''} ${taken ? 'disabled' : ''}>${c.emoji} ${c.name}</option>`;
+          }).join('')}
+        </select>
+        <button class="btn-remove-player" data-idx="${idx}" ${state.players.length <= 3 ? 'disabled' : ''}>✕</button>
+      `;
+      container.appendChild(div);
+    });
+
+    document.getElementById('btn-add-player').style.display =
+      state.players.length >= 6 ? 'none' : 'inline-flex';
+  }
+
+  function updateStartButton() {
+    const valid = state.players.length >= 3 &&
+      state.players.every(p => p.name.trim() !== '' && p.characterId !== '');
+    const charIds = state.players.map(p => p.characterId);
+    const unique = new Set(charIds).size === charIds.length;
+    document.getElementById('btn-start').disabled = !(valid && unique);
+  }
+
+  function startGame() {
+    clearHistory();
+    state.players = state.players.map((p, i) => {
+      const char = getChar(p.characterId);
+      const maxMana = char ? char.maxMana : 4;
+      return {
+        ...p, id: i, profileId: ensureProfile(p.name, p.characterId).id,
+        gold: 0, mana: maxMana, maxMana, equipment: [],
+        equipmentSlots: char?.equipmentSlots ?? DEFAULT_EQUIPMENT_SLOTS,
+        items: startItems(char),
+      };
+    });
+
+    // Build the combined event deck and draw the first card
+    const eventDeck = buildCombinedEventDeck();
+    const firstEvent = eventDeck[0];
+    const isDay = firstEvent && firstEvent.type === 'day';
+
+    state.game = {
+      eventDeck,
+      eventIndex: 0,
+      currentDay: isDay ? 1 : 0,
+      timeOfDay: firstEvent ? firstEvent.type : 'day',
+      monsterDeck: buildMonsterDeck(),
+      monsterDeckIndex: 0,
+      monsterDefeated: false,
+      carriedMonster: null,
+      equipmentDeck: buildEquipmentDeck(),
+      equipmentDiscard: [],
+      shop: [],
+      shopEventIndex: -1,
+      pendingNotifications: [],
+    };
+    state.log = [];
+    state.combat = defaultState().combat;
+    if (firstEvent) logEvent(firstEvent);
+    if (state.options.fullTracking) updateShop();
+
+    navigateTo('game');
+  }
+
+  // ─── GAME SCREEN ──────────────────────────────────────────
+
+  /** Get current event from the combined deck */
+  function currentEvent() {
+    const g = state.game;
+    const entry = g.eventDeck[g.eventIndex];
+    if (!entry) return null;
+    const events = entry.type === 'day' ? DAY_EVENTS : NIGHT_EVENTS;
+    const ev = events.find(e => e.id === entry.eventId);
+    return ev ? { ...ev, type: entry.type } : null;
+  }
+
+  function eventHas(ev, effectType) {
+    return !!ev && (ev.effects || []).some(e => e.type === effectType);
+  }
+
+  /** Apply the automatic effects of a freshly drawn event and queue a summary */
+  function applyEventEffects(ev) {
+    const changes = [];
+    for (const effect of ev.effects || []) {
+      switch (effect.type) {
+        case 'refillMana': {
+          const refilled = state.players.filter(p => p.mana < p.maxMana);
+          refilled.forEach(p => {
+            logEntry('mana', { playerId: p.id, delta: p.maxMana - p.mana, source: 'event' });
+            p.mana = p.maxMana;
+          });
+          changes.push(refilled.length
+            ? `Recuperan todo su maná: ${refilled.map(p => p.name).join(', ')}.`
+            : 'Todos tenían el maná completo.');
+          break;
+        }
+        case 'gold':
+          state.players.forEach(p => {
+            p.gold += effect.amount;
+            logEntry('gold', { playerId: p.id, delta: effect.amount, source: 'event' });
+          });
+          changes.push(`+${effect.amount} de oro para todos los jugadores.`);
+          break;
+      }
+    }
+    if (changes.length) state.game.pendingNotifications.push(`${ev.name}: ${changes.join(' ')}`);
+  }
+
+  function renderGame() {
+    const g = state.game;
+    const isDay = g.timeOfDay === 'day';
+    const ev = currentEvent();
+
+    // Header
+    const label = isDay
+      ? `☀️ Día ${g.currentDay} / 12`
+      : `🌙 Noche`;
+    document.getElementById('game-day-label').textContent = label;
+    document.getElementById('btn-advance').textContent = 'Avanzar';
+
+    // Event card — always show if digitalEvents is on
+    renderEventCard(ev);
+
+    // Shop — tracking mode, day or Mercado Nocturno
+    renderShop(ev);
+
+    // Monster section — only on day + digitalMonsters
+    renderMonsterSection(ev);
+
+    // Duel FAB — closed by events like Día de Tregua
+    document.getElementById('btn-duel-float').disabled = eventHas(ev, 'noDuels');
+
+    // Players
+    renderPlayerCards();
+
+    // Flush notifications
+    flushNotifications();
+  }
+
+  function renderEventCard(ev) {
+    const section = document.getElementById('event-section');
+
+    if (!ev) {
+      section.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('event-badge').textContent = ev.type === 'day' ? 'DÍA' : 'NOCHE';
+    document.getElementById('event-name').textContent  = ev.name;
+    document.getElementById('event-effect').textContent = ev.effect;
+    renderOraclePreview(ev);
+    section.style.display = 'block';
+  }
+
+  /** El Oráculo: preview the monster waiting at the top of the dungeon deck */
+  function renderOraclePreview(ev) {
+    const panel = document.getElementById('event-oracle');
+    if (!state.options.digitalMonsters || !eventHas(ev, 'revealMonster')) {
+      panel.style.display = 'none'; return;
+    }
+
+    const g = state.game;
+    const monster = getMonster(g.monsterDeck[g.monsterDeckIndex]);
+    if (!monster) {
+      panel.style.display = 'none'; return;
+    }
+
+    document.getElementById('oracle-img').src = monster.image;
+    document.getElementById('oracle-img').alt = monster.name;
+    document.getElementById('oracle-name').textContent = monster.name;
+    renderTierBadge(document.getElementById('oracle-tier-badge'), monster.tier);
+    const carried = carriedHP(monster.id);
+    document.getElementById('oracle-hp-label').textContent = carried != null ? 'Vida restante:' : 'Vida:';
+    document.getElementById('oracle-hp').textContent = carried ?? computeHPDisplay(monster, state.players.length, false);
+    document.getElementById('oracle-ability').textContent = monster.ability;
+    panel.style.display = 'flex';
+  }
+
+  function renderMonsterSection(ev) {
+    const g = state.game;
+    const section = document.getElementById('monster-section');
+
+    // Only show during day + digital monsters
+    if (!state.options.digitalMonsters || g.timeOfDay !== 'day') {
+      section.style.display = 'none'; return;
+    }
+
+    // Mazmorra Cerrada — hide monster
+    if (ev && ev.name === 'Mazmorra Cerrada') {
+      section.style.display = 'none'; return;
+    }
+
+    // Already dealt with this day's monster
+    if (g.monsterDefeated) {
+      section.style.display = 'none'; return;
+    }
+
+    const monsterId = g.monsterDeck[g.monsterDeckIndex];
+    if (monsterId == null) { section.style.display = 'none'; return; }
+
+    const monster = getMonster(monsterId);
+    if (!monster) { section.style.display = 'none'; return; }
+
+    const isLegendary = ev && ev.name === 'Monstruo Legendario';
+    const carried = carriedHP(monster.id);
+    const hp = carried ?? computeHPDisplay(monster, state.players.length, isLegendary);
+
+    document.getElementById('monster-img').src = monster.image;
+    document.getElementById('monster-img').alt = monster.name;
+    document.getElementById('monster-name').textContent = monster.name + (isLegendary ? ' ⚡' : '');
+    renderTierBadge(document.getElementById('monster-tier-badge'), monster.tier);
+    document.getElementById('monster-hp-label').textContent = carried != null ? 'Vida restante:' : 'Vida:';
+    document.getElementById('monster-hp').textContent     = hp;
+    document.getElementById('monster-ability').textContent = monster.ability;
+    document.getElementById('monster-reward').textContent  = isLegendary ? monster.reward + ' (x2)' : monster.reward;
+    document.getElementById('monster-penalty').textContent = monster.penalty;
+
+    section.style.display = 'block';
+  }
+
+  // ─── MONSTER RULES ────────────────────────────────────────
+
+  /**
+   * Handlers for the `rules` entries of MONSTERS, keyed by rule type.
+   *   hint(rule)              text shown on the combat screen
+   *   input: 'number' | 'combatant'   single value entered by the table
+   *   inputDie               the number input is one die, rolled by the first combatant
+   *   row:   'side' | 'number'        per-combatant control in the score rows
+   *   rowDie                 the row number is one die, rolled by that combatant
+   *   apply(rule, ctx, res)   adjusts the evaluated combat result
+   *   settle(rule, ctx, pay)  adds ability effects to the post-combat payout
+   */
+  const MONSTER_RULES = {
+    hpRoll: {
+      hint: () => 'El primer combatiente lanza un dado y se suma a la vida.',
+      input: 'number', inputLabel: 'Dado', inputDie: true,
+      apply: (rule, ctx, res) => {
+        res.maxHP += ctx.input || 0;
+        if (ctx.combatants[0]) addRuleTag(res, ctx.combatants[0].id, 'Lanza el dado');
+      },
+    },
+    rerollHighest: {
+      hint: () => 'Todos los combatientes repiten su dado más alto una vez.',
+    },
+    autoWinIfAll: {
+      hint: () => 'Gana automáticamente si combaten TODOS los jugadores.',
+      apply: (rule, ctx, res) => {
+        if (ctx.combatants.length > 0 && ctx.absent.length === 0) {
+          res.forced = 'loss';
+          res.notes.push('Combaten todos los jugadores: el monstruo gana.');
+        }
+      },
+    },
+    absentLoseGold: {
+      hint: rule => `Si es derrotada, quienes no combaten pierden ${rule.amount} de oro.`,
+      apply: (rule, ctx, res) => {
+        if (ctx.absent.length === 0) return;
+        res.notes.push(`Si gana el grupo: ${ctx.absent.map(p => p.name).join(', ')} pierden ${rule.amount} de oro.`);
+      },
+      settle: (rule, ctx, pay) => {
+        if (!pay.defeated) return;
+        for (const p of ctx.absent) pay.entry(p.id).gold -= rule.amount;
+      },
+    },
+    respawn: {
+      hint: () => 'Si el grupo falla, reaparece el siguiente turno con la misma vida.',
+    },
+    noRewardLowest: {
+      hint: () => 'El combatiente con el dado más bajo no recibe recompensa.',
+      input: 'combatant', inputLabel: 'Dado más bajo',
+      apply: (rule, ctx, res) => {
+        if (!ctx.combatants.some(p => p.id === ctx.input)) return;
+        res.noReward.push(ctx.input);
+        addRuleTag(res, ctx.input, 'Sin recompensa');
+      },
+    },
+    firstSidesWithMonster: {
+      hint: rule => `El primer combatiente juega por el monstruo: lanza ${rule.dicePerOther} dados por cada otro combatiente.`,
+      apply: (rule, ctx, res) => {
+        const first = ctx.combatants[0];
+        if (!first) return;
+        const score = ctx.scores[first.id];
+        res.maxHP += score;
+        res.damage -= score;
+        res.monsterSide.push(first.id);
+        addRuleTag(res, first.id, `Juega por el monstruo (${rule.dicePerOther * (ctx.combatants.length - 1)} dados)`);
+      },
+    },
+    noEquipment: {
+      hint: () => 'No se pueden usar equipamientos.',
+    },
+    dice: {
+      hint: rule => `Cada combatiente lanza ${rule.count} dados.`,
+    },
+    rollGoldOnDefeat: {
+      hint: () => 'Si es derrotado, cada combatiente lanza un dado y gana ese oro.',
+      settle: (rule, ctx, pay) => {
+        if (!pay.defeated) return;
+        for (const pid of pay.winners) pay.entry(pid).roll = 1;
+      },
+    },
+    hpPerAbsent: {
+      hint: rule => `+${rule.amount} de vida por cada jugador que no combate.`,
+      apply: (rule, ctx, res) => {
+        const extra = rule.amount * ctx.absent.length;
+        res.maxHP += extra;
+        if (extra > 0) res.notes.push(`+${extra} de vida por ${ctx.absent.length} ausente(s).`);
+      },
+    },
+    lowestRests: {
+      hint: () => 'El combatiente con el total más bajo descansa la noche siguiente.',
+      apply: (rule, ctx, res) => {
+        for (const pid of extremeScorers(ctx, -1)) addRuleTag(res, pid, 'Descansa');
+      },
+      settle: (rule, ctx, pay) => {
+        for (const pid of extremeScorers(ctx, -1)) pay.entry(pid).notes.push('Descansa la noche siguiente');
+      },
+    },
+    noRewardAtOrBelow: {
+      hint: rule => `Con un total de ${rule.total} o menos no se recibe recompensa.`,
+      apply: (rule, ctx, res) => {
+        for (const p of ctx.combatants) {
+          if (ctx.scores[p.id] > rule.total) continue;
+          res.noReward.push(p.id);
+          addRuleTag(res, p.id, 'Sin recompensa');
+        }
+      },
+    },
+    bestCollects: {
+      hint: rule => `El mejor lanzador recibe ${rule.amount} de oro de cada combatiente.`,
+      apply: (rule, ctx, res) => {
+        for (const pid of extremeScorers(ctx, 1)) addRuleTag(res, pid, `Cobra ${rule.amount} a cada uno`);
+      },
+      settle: (rule, ctx, pay) => {
+        const best = extremeScorers(ctx, 1);
+        if (best.length !== 1) return;
+        for (const p of ctx.combatants) {
+          if (p.id === best[0]) continue;
+          pay.entry(p.id).gold -= rule.amount;
+          pay.entry(best[0]).gold += rule.amount;
+        }
+      },
+    },
+    richestLoses: {
+      hint: rule => `Si es derrotado, el jugador con más oro pierde ${rule.amount}.`,
+      apply: (rule, ctx, res) => {
+        if (!state || !state.options.fullTracking || state.players.length === 0) return;
+        const top = Math.max(...state.players.map(p => p.gold));
+        const richest = state.players.filter(p => p.gold === top);
+        res.notes.push(`Si gana el grupo: ${richest.map(p => p.name).join(', ')} pierde ${rule.amount} de oro.`);
+      },
+      settle: (rule, ctx, pay) => {
+        if (!pay.defeated || state.players.length === 0) return;
+        const top = Math.max(...state.players.map(p => p.gold));
+        for (const p of state.players) if (p.gold === top) pay.entry(p.id).gold -= rule.amount;
+      },
+    },
+    secondPhase: {
+      hint: rule => `Al ser derrotado se levanta con ${rule.hpPerCombatant} de vida por combatiente y sin equipamientos.`,
+      apply: (rule, ctx, res) => {
+        if (ctx.mc.stage !== 2) return;
+        res.maxHP = rule.hpPerCombatant * ctx.combatants.length;
+        res.notes.push('Segunda fase: sin equipamientos.');
+      },
+    },
+    sides: {
+      hint: () => 'Cada combatiente elige bando en secreto. Gana el bando con mayor total; el empate es para el monstruo.',
+      row: 'side',
+      apply: (rule, ctx, res) => {
+        const sides = ctx.input || {};
+        for (const p of ctx.combatants) {
+          if (sides[p.id] !== 'monster') continue;
+          res.maxHP += ctx.scores[p.id];
+          res.damage -= ctx.scores[p.id];
+          res.monsterSide.push(p.id);
+        }
+        res.strict = true;
+        if (ctx.combatants.length === 1) res.notes.push('Un solo combatiente: toma una carta de evento en vez de pelear.');
+      },
+    },
+    fixedDice: {
+      hint: rule => `Los dados empiezan en ${rule.value} y solo cambian con equipamientos.`,
+    },
+    offering: {
+      hint: rule => `Ofrenda para combatir (1 dado): 1-3 sacrifica 1 equipamiento, 4-6 sacrifica ${rule.gold} de oro. Quien no puede pagar no combate.`,
+      row: 'number', rowLabel: 'Dado de ofrenda', rowDie: true,
+      apply: (rule, ctx, res) => {
+        for (const p of ctx.combatants) {
+          const cost = offeringCost(rule, p, (ctx.input || {})[p.id]);
+          if (cost === 'blocked') {
+            res.damage -= ctx.scores[p.id];
+            res.blocked.push(p.id);
+            addRuleTag(res, p.id, 'No puede pagar: no combate');
+          } else if (cost) {
+            addRuleTag(res, p.id, cost === 'gold' ? `Ofrenda: ${rule.gold} de oro` : 'Ofrenda: 1 equipamiento');
+          } else {
+            addRuleTag(res, p.id, 'Falta el dado de ofrenda');
+          }
+        }
+      },
+      settle: (rule, ctx, pay) => {
+        for (const p of ctx.combatants) {
+          const cost = offeringCost(rule, p, (ctx.input || {})[p.id]);
+          if (cost !== 'gold' && cost !== 'equipment') continue;
+          const e = pay.entry(p.id);
+          if (cost === 'gold') e.gold -= rule.gold;
+          else addPayoutDiscards(e, p, 1);
+          e.notes.push('Ofrenda');
+        }
+      },
+    },
+    individual: {
+      hint: () => 'Cada combatiente debe vencerlo individualmente.',
+      apply: (rule, ctx, res) => {
+        if (ctx.combatants.length === 0) return;
+        res.damage = Math.min(...ctx.combatants.map(p => ctx.scores[p.id]));
+        for (const p of ctx.combatants) {
+          const missing = res.maxHP - ctx.scores[p.id];
+          addRuleTag(res, p.id, missing <= 0 ? 'Vencido' : `Faltan ${missing}`);
+        }
+      },
+    },
+    wager: {
+      hint: () => 'Cada combatiente apuesta oro (siempre se pierde). Los premios se reparten de mayor a menor apuesta.',
+      row: 'number', rowLabel: 'Apuesta',
+      apply: (rule, ctx, res) => {
+        const bets = ctx.input || {};
+        const ranked = ctx.combatants.slice().sort((a, b) => (bets[b.id] || 0) - (bets[a.id] || 0));
+        ranked.forEach(p => {
+          const rank = ranked.filter(o => (bets[o.id] || 0) > (bets[p.id] || 0)).length + 1;
+          addRuleTag(res, p.id, `Apuesta ${bets[p.id] || 0} (${rank}º)`);
+        });
+      },
+      settle: (rule, ctx, pay) => {
+        const bets = ctx.input || {};
+        for (const p of ctx.combatants) if (bets[p.id]) pay.entry(p.id).gold -= bets[p.id];
+      },
+    },
+  };
+
+  /**
+   * What a combatant's offering die asks for: 'equipment' (1-3), 'gold' (4-6),
+   * 'blocked' when they can't pay it (tracking only) or null before the roll.
+   */
+  function offeringCost(rule, player, die) {
+    if (!(die >= 1)) return null;
+    const cost = die <= 3 ? 'equipment' : 'gold';
+    if (!state || !state.options.fullTracking || !player.equipment) return cost;
+    const canPay = cost === 'gold'
+      ? player.gold >= rule.gold
+      : player.equipment.some(eqId => !getEquipment(eqId)?.undiscardable);
+    return canPay ? cost : 'blocked';
+  }
+
+  function addRuleTag(res, pid, text) {
+    (res.tags[pid] = res.tags[pid] || []).push(text);
+  }
+
+  /** Combatants with the lowest (dir = -1) or highest (dir = 1) score, once scores are in */
+  function extremeScorers(ctx, dir) {
+    if (ctx.combatants.length === 0 || ctx.combatants.every(p => ctx.scores[p.id] === 0)) return [];
+    const values = ctx.combatants.map(p => ctx.scores[p.id]);
+    const target = dir < 0 ? Math.min(...values) : Math.max(...values);
+    return ctx.combatants.filter(p => ctx.scores[p.id] === target).map(p => p.id);
+  }
+
+  /** A typed rule value: dice stay within 1–6 (0 while not entered), other counts non-negative */
+  function ruleInputValue(value, die) {
+    const n = parseInt(value) || 0;
+    return die && n ? Math.min(6, Math.max(1, n)) : Math.max(0, n);
+  }
+
+  /** Per-combatant values of a `row` rule, created on first use */
+  function ruleInputMap(ruleIdx) {
+    const inputs = state.monsterCombat.ruleInputs;
+    if (!inputs[ruleIdx] || typeof inputs[ruleIdx] !== 'object') inputs[ruleIdx] = {};
+    return inputs[ruleIdx];
+  }
+
+  /**
+   * Apply the current monster's rules to the combat state.
+   * Returns { maxHP, damage, currentHP, defeated, forced, strict,
+   *           noReward: pid[], monsterSide: pid[], blocked: pid[], tags: { pid: string[] }, notes: string[] }
+   */
+  function evaluateMonsterCombat() {
+    const mc = state.monsterCombat;
+    return applyMonsterRules(getMonster(mc.monsterId), mc.baseHP, monsterRuleContext(), mc.ruleInputs);
+  }
+
+  /** Run `monster`'s rules over a fight context; shared by the combat screen and the simulator */
+  function applyMonsterRules(monster, baseHP, ctx, inputs) {
+    const { combatants, scores } = ctx;
+    const res = {
+      maxHP: baseHP,
+      damage: combatants.reduce((sum, p) => sum + scores[p.id], 0),
+      forced: null,       // 'win' | 'loss' overrides the HP check
+      strict: false,      // ties go to the monster
+      noReward: [], monsterSide: [],
+      blocked: [],        // combatants kept out of the fight (their score doesn't count)
+      tags: {}, notes: [],
+    };
+
+    const rules = monster ? monster.rules || [] : [];
+    rules.forEach((rule, i) => {
+      const handler = MONSTER_RULES[rule.type];
+      if (!handler || !handler.apply) return;
+      handler.apply(rule, { ...ctx, input: inputs[i] }, res);
+    });
+
+    res.currentHP = res.maxHP - res.damage;
+    res.defeated = res.forced
+      ? res.forced === 'win'
+      : (res.strict ? res.currentHP < 0 : res.currentHP <= 0);
+    return res;
+  }
+
+  /** Players in and out of the current monster combat, with their scores */
+  function monsterRuleContext() {
+    const mc = state.monsterCombat;
+    const combatants = mc.combatantIds.map(id => state.players.find(p => p.id === id)).filter(Boolean);
+    const absent = state.players.filter(p => !mc.combatantIds.includes(p.id));
+    const scores = {};
+    for (const p of combatants) scores[p.id] = mc.combatantScores[p.id] || 0;
+    return { mc, combatants, absent, scores };
+  }
+
+  function renderMonsterRules(monster) {
+    const mc = state.monsterCombat;
+    const container = document.getElementById('mc-rules');
+    container.innerHTML = '';
+
+    (monster.rules || []).forEach((rule, i) => {
+      const handler = MONSTER_RULES[rule.type];
+      if (!handler) return;
+      const row = document.createElement('div');
+      row.className = 'mc-rule';
+      let control = '';
+      if (handler.input === 'number') {
+        control = `<input type="number" ${handler.inputDie ? 'min="1" max="6" data-die="1"' : 'min="0"'} class="mc-rule-input" data-rule="${i}"
+          value="${parseInt(mc.ruleInputs[i]) || (handler.inputDie ? '' : 0)}" aria-label="${handler.inputLabel}" />`;
+        if (handler.inputDie && state.options.digitalDice) {
+          control += `<button class="btn btn-ghost btn-sm" data-dice="rule" data-rule="${i}" title="Lanzar">🎲</button>`;
+        }
+      } else if (handler.input === 'combatant') {
+        control = `
+          <select class="mc-rule-input" data-rule="${i}" aria-label="${handler.inputLabel}">
+            <option value="">${handler.inputLabel}</option>
+            ${mc.combatantIds.map(pid => {
+              const p = state.players.find(pl => pl.id === pid);
+              return p ? `<option value="${pid}" ${mc.ruleInputs[i] === pid ? 'selected' : ''}>${escHtml(p.name)}</option>` : '';
+            }).join('')}
+          </select>`;
+      }
+      row.innerHTML = `<span class="mc-rule-hint">${escHtml(handler.hint(rule))}</span>${control}`;
+      container.appendChild(row);
+    });
+
+    container.querySelectorAll('.mc-rule-input').forEach(input => {
+      input.addEventListener('change', () => {
+        checkpoint('Regla del monstruo', true);
+        const idx = parseInt(input.dataset.rule);
+        const val = input.value === '' ? null : ruleInputValue(input.value, input.dataset.die);
+        mc.ruleInputs[idx] = val;
+        input.value = val || (input.dataset.die || val === null ? '' : 0);
+        saveState();
+        updateMonsterCombatStatus();
+      });
+    });
+  }
+
+  function renderCombatantRuleControls(monster, pid) {
+    const mc = state.monsterCombat;
+    return (monster.rules || []).map((rule, i) => {
+      const handler = MONSTER_RULES[rule.type];
+      if (!handler || !handler.row) return '';
+      const values = mc.ruleInputs[i] || {};
+      if (handler.row === 'side') {
+        const monsterSide = values[pid] === 'monster';
+        return `<button class="btn btn-ghost btn-sm mc-side-btn ${monsterSide ? 'monster-side' : ''}" data-rule="${i}" data-pid="${pid}">
+          ${monsterSide ? escHtml(monster.name) : 'Grupo'}</button>`;
+      }
+      const die = handler.rowDie && state.options.digitalDice
+        ? `<button class="btn btn-ghost btn-sm" data-dice="ruleRow" data-rule="${i}" data-pid="${pid}" title="Lanzar">🎲</button>`
+        : '';
+      return `<input type="number" ${handler.rowDie ? 'min="1" max="6" data-die="1"' : 'min="0"'} class="mc-row-input" data-rule="${i}" data-pid="${pid}"
+        value="${values[pid] || (handler.rowDie ? '' : 0)}" aria-label="${handler.rowLabel}" title="${handler.rowLabel}" />${die}`;
+    }).join('');
+  }
+
+  // ─── MONSTER COMBAT ───────────────────────────────────────
+
+  function openMonsterCombat() {
+    const g = state.game;
+    const monsterId = g.monsterDeck[g.monsterDeckIndex];
+    if (monsterId == null) return;
+
+    const monster = getMonster(monsterId);
+    if (!monster) return;
+    checkpoint(`Combate contra ${monster.name}`);
+
+    const ev = currentEvent();
+    const isLegendary = ev && ev.name === 'Monstruo Legendario';
+    const maxHP = carriedHP(monsterId) ?? computeHP(monster, state.players.length, isLegendary);
+
+    beginCombat();
+    state.monsterCombat = {
+      monsterId,
+      baseHP: maxHP || 0,
+      maxHP: maxHP || 0,
+      currentHP: maxHP || 0,
+      combatantIds: [],
+      combatantScores: {},
+      ruleInputs: {},
+      stage: 1,
+      isLegendary,
+      plays: [],
+    };
+    recalcMonsterHP();
+
+    saveState();
+    navigateTo('monsterCombat');
+  }
+
+  function renderMonsterCombat() {
+    const mc = state.monsterCombat;
+    const monster = getMonster(mc.monsterId);
+    if (!monster) return;
+
+    document.getElementById('mc-monster-img').src = monster.image;
+    document.getElementById('mc-monster-name').textContent = monster.name + (mc.isLegendary ? ' ⚡' : '');
+    renderTierBadge(document.getElementById('mc-tier-badge'), monster.tier);
+
+    renderMonsterRules(monster);
+
+    // Combatant toggles
+    const toggleDiv = document.getElementById('mc-combatant-toggle');
+    toggleDiv.innerHTML = '';
+    for (const p of state.players) {
+      const char = getChar(p.characterId);
+      const checked = mc.combatantIds.includes(p.id);
+      const label = document.createElement('label');
+      label.className = checked ? 'selected' : '';
+      label.innerHTML = `
+        <input type="checkbox" data-pid="${p.id}" ${checked ? 'checked' : ''} />
+        ${char?.emoji ?? ''} ${escHtml(p.name)}
+      `;
+      toggleDiv.appendChild(label);
+    }
+
+    // Combatant score rows
+    const listDiv = document.getElementById('mc-combatant-list');
+    listDiv.innerHTML = '';
+    for (const pid of mc.combatantIds) {
+      const p = state.players.find(pl => pl.id === pid);
+      if (!p) continue;
+      const char = getChar(p.characterId);
+      const score = mc.combatantScores[pid] || 0;
+      const row = document.createElement('div');
+      row.className = 'combatant-row';
+      row.innerHTML = `
+        <div class="combatant-info">
+          <span class="combatant-name">${char?.emoji ?? ''} ${escHtml(p.name)}</span>
+          <span class="combatant-tags" id="mc-tags-${pid}"></span>
+        </div>
+        ${state.options.fullTracking ? `
+          <div class="passive-controls">${renderPassiveControls(p, true)}${renderItemChips(p, 'dungeon')}${renderUsedCards(pid)}</div>
+          ${renderManaTokens(p)}${renderHandCards(p, 'monster')}` : ''}
+        ${renderCombatantRuleControls(monster, pid)}
+        ${state.options.digitalDice ? renderDicePanel(pid, 'monster') : ''}
+        <div class="combatant-score">
+          <button class="hold-btn mc-dec" data-pid="${pid}">−</button>
+          <span class="combatant-value" id="mc-score-${pid}">${score}</span>
+          <button class="hold-btn mc-inc" data-pid="${pid}">+</button>
+        </div>
+      `;
+      listDiv.appendChild(row);
+    }
+
+    // Attach listeners
+    listDiv.querySelectorAll('.mc-inc').forEach(btn => {
+      attachHoldButton(btn, () => adjustCombatantScore(parseInt(btn.dataset.pid), 1));
+    });
+    listDiv.querySelectorAll('.mc-dec').forEach(btn => {
+      attachHoldButton(btn, () => adjustCombatantScore(parseInt(btn.dataset.pid), -1));
+    });
+
+    listDiv.querySelectorAll('.mc-side-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        checkpoint('Bando en combate', true);
+        const values = ruleInputMap(parseInt(btn.dataset.rule));
+        const pid = parseInt(btn.dataset.pid);
+        values[pid] = values[pid] === 'monster' ? 'group' : 'monster';
+        recalcMonsterHP();
+        saveState();
+        renderMonsterCombat();
+      });
+    });
+    listDiv.querySelectorAll('.mc-row-input').forEach(input => {
+      input.addEventListener('change', () => {
+        checkpoint('Regla del monstruo', true);
+        const val = ruleInputValue(input.value, input.dataset.die);
+        ruleInputMap(parseInt(input.dataset.rule))[parseInt(input.dataset.pid)] = val;
+        input.value = val || (input.dataset.die ? '' : 0);
+        recalcMonsterHP();
+        saveState();
+        updateMonsterCombatStatus();
+      });
+    });
+
+    updateMonsterCombatStatus();
+
+    toggleDiv.querySelectorAll('input').forEach(cb => {
+      cb.addEventListener('change', () => {
+        checkpoint('Combatientes');
+        const pid = parseInt(cb.dataset.pid);
+        if (cb.checked) {
+          if (!mc.combatantIds.includes(pid)) mc.combatantIds.push(pid);
+          if (!mc.combatantScores[pid]) mc.combatantScores[pid] = 0;
+        } else {
+          mc.combatantIds = mc.combatantIds.filter(id => id !== pid);
+          delete mc.combatantScores[pid];
+        }
+        saveState();
+        recalcMonsterHP();
+        renderMonsterCombat();
+      });
+    });
+  }
+
+  function adjustCombatantScore(pid, delta) {
+    checkpoint('Puntaje de mazmorra', true);
+    const mc = state.monsterCombat;
+    mc.combatantScores[pid] = Math.max(0, (mc.combatantScores[pid] || 0) + delta);
+    recalcMonsterHP();
+    saveState();
+
+    const el = document.getElementById(`mc-score-${pid}`);
+    if (el) el.textContent = mc.combatantScores[pid];
+
+    updateMonsterCombatStatus();
+  }
+
+  /** Refresh the HP bar, rule notes and combatant tags without rebuilding the rows */
+  function updateMonsterCombatStatus() {
+    const mc = state.monsterCombat;
+    const res = recalcMonsterHP();
+
+    const pct = mc.maxHP > 0 ? Math.max(0, mc.currentHP / mc.maxHP * 100) : 0;
+    document.getElementById('mc-hp-current').textContent = Math.max(0, mc.currentHP);
+    document.getElementById('mc-hp-max').textContent     = mc.maxHP || 'Especial';
+    const bar = document.getElementById('mc-hp-bar');
+    bar.style.width = pct + '%';
+    bar.classList.toggle('low', pct < 30);
+
+    document.getElementById('mc-rule-notes').innerHTML =
+      res.notes.map(n => `<div class="mc-rule-note">${escHtml(n)}</div>`).join('');
+    for (const pid of mc.combatantIds) {
+      const el = document.getElementById(`mc-tags-${pid}`);
+      if (el) el.innerHTML = (res.tags[pid] || []).map(t => `<span class="combatant-tag">${escHtml(t)}</span>`).join('');
+    }
+  }
+
+  function recalcMonsterHP() {
+    const mc = state.monsterCombat;
+    const res = evaluateMonsterCombat();
+    mc.maxHP = res.maxHP;
+    mc.currentHP = res.currentHP;
+    return res;
+  }
+
+  function endMonsterCombat() {
+    checkpoint('Terminar combate');
+    const mc = state.monsterCombat;
+    const g = state.game;
+    const monster = getMonster(mc.monsterId);
+    const res = recalcMonsterHP();
+    const defeated = res.defeated;
+
+    const secondPhase = monster && monster.rules.find(r => r.type === 'secondPhase');
+    if (defeated && secondPhase && mc.stage === 1) {
+      mc.stage = 2;
+      for (const pid of mc.combatantIds) mc.combatantScores[pid] = 0;
+      recalcMonsterHP();
+      saveState();
+      showModal(`${monster.name} se levanta`, `Deben derrotarlo de nuevo: ${mc.maxHP} de vida y sin equipamientos.`, [
+        { label: 'OK', primary: true, action: () => renderMonsterCombat() },
+      ]);
+      return;
+    }
+
+    endCombat();
+    logEntry('monster', {
+      monsterId: mc.monsterId,
+      combatantIds: mc.combatantIds.slice(),
+      scores: { ...mc.combatantScores },
+      maxHP: mc.maxHP,
+      defeated,
+    });
+
+    if (defeated) {
+      const tier = monster ? monster.tier : null;
+
+      g.monsterDefeated = true;
+      g.monsterDeckIndex++;
+      g.carriedMonster = null;
+
+      if (tier) checkTierCompletion(g.monsterDeck, g.monsterDeckIndex, tier);
+
+      if (state.options.fullTracking) {
+        openSettlement('Monstruo Derrotado', buildMonsterPayout(monster, res, true));
+      } else {
+        showModal('Monstruo Derrotado', 'El monstruo ha sido vencido.', [
+          { label: 'OK', primary: true, action: () => navigateTo('game') },
+        ]);
+      }
+    } else {
+      if (monster) applyFailedFight(monster, mc);
+
+      if (state.options.fullTracking && monster) {
+        openSettlement('Combate Fallido', buildMonsterPayout(monster, res, false));
+      } else {
+        showModal('Combate Fallido', 'El grupo no logró derrotar al monstruo. Se aplica la penitencia.', [
+          { label: 'OK', primary: true, action: () => navigateTo('game') },
+        ]);
+      }
+    }
+    saveState();
+  }
+
+  /** What a failed fight does to the monster card, per its `onFail` policy */
+  function applyFailedFight(monster, mc) {
+    const g = state.game;
+    switch (monster.onFail || 'restore') {
+      case 'carry':
+        g.carriedMonster = { monsterId: monster.id, hp: Math.max(1, mc.currentHP) };
+        break;
+      case 'discard':
+        g.monsterDefeated = true;
+        g.monsterDeckIndex++;
+        g.carriedMonster = null;
+        break;
+      default:
+        g.carriedMonster = null;
+    }
+  }
+
+  /** Remaining HP of a monster carried over from a failed fight, or null */
+  function carriedHP(monsterId) {
+    const c = state.game.carriedMonster;
+    return c && c.monsterId === monsterId ? c.hp : null;
+  }
+
+  // ─── CHARACTER PASSIVES ───────────────────────────────────
+
+  const DEFAULT_EQUIPMENT_SLOTS = 6;
+
+  function startItems(char) {
+    const items = {};
+    for (const { itemId, count } of char?.startItems || []) items[itemId] = (items[itemId] || 0) + count;
+    return items;
+  }
+
+  /** False (after telling the table) when the player has no free equipment slot */
+  function checkEquipmentRoom(p) {
+    if (p.equipment.length < p.equipmentSlots) return true;
+    showModal('Inventario lleno',
+      `${p.name} ya tiene ${p.equipment.length}/${p.equipmentSlots} equipamientos. Debe vender o descartar antes.`,
+      [{ label: 'OK', primary: true }]);
+    return false;
+  }
+
+  /** Reset the per-combat trackers when a duel or dungeon fight begins */
+  function beginCombat() {
+    endCombat();
+    state.combat = defaultState().combat;
+  }
+
+  /** Give back anything Skull borrowed from the discard pile */
+  function endCombat() {
+    for (const [pid, eqId] of Object.entries(state.combat.borrowed)) {
+      const p = state.players.find(pl => pl.id === Number(pid));
+      const i = p ? p.equipment.lastIndexOf(eqId) : -1;
+      if (i >= 0) {
+        p.equipment.splice(i, 1);
+        state.game.equipmentDiscard.push(eqId);
+      }
+    }
+    state.combat.borrowed = {};
+  }
+
+  function borrowFromDiscard(pid) {
+    const p = state.players.find(pl => pl.id === pid);
+    const discard = state.game.equipmentDiscard;
+    if (!p || discard.length === 0 || state.combat.borrowed[pid] !== undefined) return;
+    checkpoint(`Préstamo de ${p.name}`);
+    const [eqId] = discard.splice(Math.floor(Math.random() * discard.length), 1);
+    p.equipment.push(eqId);
+    state.combat.borrowed[pid] = eqId;
+    saveState();
+  }
+
+  function useReroll(pid) {
+    const p = state.players.find(pl => pl.id === pid);
+    if (!p) return;
+    checkpoint(`Repetición de ${p.name}`);
+    state.combat.rerolls[pid] = (state.combat.rerolls[pid] || 0) + 1;
+    saveState();
+  }
+
+  function rolledSix(pid) {
+    const p = state.players.find(pl => pl.id === pid);
+    const char = p ? getChar(p.characterId) : null;
+    if (!char?.goldOnSix) return;
+    checkpoint(`Seis de ${p.name}`);
+    p.gold += char.goldOnSix;
+    logEntry('gold', { playerId: pid, delta: char.goldOnSix, source: 'passive' });
+    saveState();
+  }
+
+  /** Buttons for the passives a player can trigger; `inCombat` adds the per-combat ones */
+  function renderPassiveControls(p, inCombat) {
+    const char = getChar(p.characterId);
+    if (!char) return '';
+    const btns = [];
+    // Digital dice pay sixes on their own
+    if (char.goldOnSix && !state.options.digitalDice) {
+      btns.push(`<button class="btn btn-ghost btn-sm passive-btn" data-passive="six" data-pid="${p.id}">🎲 Sacó un 6 (+${char.goldOnSix})</button>`);
+    }
+    if (inCombat && char.rerollsPerCombat) {
+      const used = state.combat.rerolls[p.id] || 0;
+      btns.push(`<button class="btn btn-ghost btn-sm passive-btn" data-passive="reroll" data-pid="${p.id}"
+        ${used >= char.rerollsPerCombat ? 'disabled' : ''}>${char.emoji} Repetir dado (${used}/${char.rerollsPerCombat})</button>`);
+    }
+    if (inCombat && state.combat.extraDice[p.id]) {
+      btns.push(`<span class="passive-note">🎲 +${state.combat.extraDice[p.id]} dados</span>`);
+    }
+    if (inCombat && char.borrowFromDiscard) {
+      const borrowed = getEquipment(state.combat.borrowed[p.id]);
+      btns.push(borrowed
+        ? `<span class="passive-note">${char.emoji} ${escHtml(borrowed.name)} (prestado)</span>`
+        : `<button class="btn btn-ghost btn-sm passive-btn" data-passive="borrow" data-pid="${p.id}"
+            ${state.game.equipmentDiscard.length === 0 ? 'disabled' : ''}>${char.emoji} Tomar del descarte</button>`);
+    }
+    return btns.join('');
+  }
+
+  function handlePassiveClick(btn) {
+    const pid = parseInt(btn.dataset.pid);
+    switch (btn.dataset.passive) {
+      case 'six':    rolledSix(pid); break;
+      case 'reroll': useReroll(pid); break;
+      case 'borrow': borrowFromDiscard(pid); break;
+    }
+    renderAll();
+  }
+
+  // ─── OBJECTS ──────────────────────────────────────────────
+
+  /** Chips for a player's objects; those usable `where` get a "Usar" button */
+  function renderItemChips(p, where) {
+    return Object.entries(p.items).map(([itemId, n]) => {
+      const item = getItem(itemId);
+      if (!item || (where === 'dungeon' && item.where !== 'dungeon')) return '';
+      return `<span class="item-chip" title="${escHtml(item.text)}">${item.emoji} ${escHtml(item.name)} ×${n}
+        ${item.where === where ? `<button class="item-use" data-pid="${p.id}" data-item="${itemId}">Usar</button>` : ''}</span>`;
+    }).join('');
+  }
+
+  function itemOptions() {
+    return ITEMS.map(i => `<option value="${i.id}">${i.emoji} ${i.name}</option>`).join('');
+  }
+
+  function addItem(pid, itemId) {
+    const p = state.players.find(pl => pl.id === pid);
+    const item = getItem(itemId);
+    if (!p || !item) return;
+    checkpoint(`${item.name} para ${p.name}`);
+    p.items[itemId] = (p.items[itemId] || 0) + 1;
+    saveState();
+    renderPlayerCards();
+  }
+
+  function useItem(pid, itemId) {
+    const p = state.players.find(pl => pl.id === pid);
+    const item = getItem(itemId);
+    if (!p || !item || !p.items[itemId]) return;
+    const effect = item.use;
+    if (effect?.type === 'refillMana' && p.mana >= p.maxMana) {
+      showModal(item.name, `${p.name} ya tiene todo su maná.`, [{ label: 'OK', primary: true }]);
+      return;
+    }
+
+    checkpoint(`${item.name} de ${p.name}`);
+    p.items[itemId]--;
+    if (p.items[itemId] === 0) delete p.items[itemId];
+    logEntry('item', { playerId: pid, itemId });
+    switch (effect?.type) {
+      case 'refillMana':
+        logEntry('mana', { playerId: pid, delta: p.maxMana - p.mana, source: 'item' });
+        p.mana = p.maxMana;
+        break;
+      case 'extraDice':
+        state.combat.extraDice[pid] = (state.combat.extraDice[pid] || 0) + effect.count;
+        break;
+    }
+    saveState();
+    renderAll();
+  }
+
+  // ─── DICE ─────────────────────────────────────────────────
+
+  // Optional digital dice. Rolls go into state.combat, so every fight starts
+  // with a fresh history; rolling or changing the modifier fills the score.
+
+  function rollDie() {
+    return 1 + Math.floor(Math.random() * 6);
+  }
+
+  /** Roll `count` dice for a player and record them; Remi-style passives pay for each 6 */
+  function rollDiceFor(pid, count, label, fixedValue) {
+    const dice = Array.from({ length: count }, () => fixedValue ?? rollDie());
+    const roll = { pid, dice: [...dice], label, at: Date.now() };
+    const p = state.players.find(pl => pl.id === pid);
+    const char = p ? getChar(p.characterId) : null;
+    const sixes = fixedValue == null ? dice.filter(v => v === 6).length : 0;
+    if (state.options.fullTracking && char?.goldOnSix && sixes) {
+      roll.gold = char.goldOnSix * sixes;
+      p.gold += roll.gold;
+      logEntry('gold', { playerId: pid, delta: roll.gold, source: 'passive' });
+    }
+    state.combat.rolls.push(roll);
+    return dice;
+  }
+
+  /** Dice a player throws in the current duel or dungeon fight */
+  function diceCount(pid, context) {
+    let count = 2;
+    if (context === 'monster') {
+      const mc = state.monsterCombat;
+      const rules = getMonster(mc.monsterId)?.rules || [];
+      const diceRule = rules.find(r => r.type === 'dice');
+      const sides = rules.find(r => r.type === 'firstSidesWithMonster');
+      if (diceRule) count = diceRule.count;
+      if (sides && mc.combatantIds[0] === pid) count = sides.dicePerOther * (mc.combatantIds.length - 1);
+    }
+    return count + (state.combat.extraDice[pid] || 0);
+  }
+
+  function fixedDiceValue(context) {
+    if (context !== 'monster') return null;
+    const rule = (getMonster(state.monsterCombat.monsterId)?.rules || []).find(r => r.type === 'fixedDice');
+    return rule ? rule.value : null;
+  }
+
+  function diceTotal(pid) {
+    return (state.combat.dice[pid] || []).reduce((sum, v) => sum + v, 0) + (state.combat.modifiers[pid] || 0);
+  }
+
+  /** Put the dice total into the duel or combatant score */
+  function fillScoreFromDice(pid, context) {
+    const total = Math.max(0, diceTotal(pid));
+    if (context === 'duel' && state.options.fullTracking) {
+      updateDuelScores();
+    } else if (context === 'duel') {
+      if (state.duel.player1Id === pid) state.duel.score1 = total;
+      if (state.duel.player2Id === pid) state.duel.score2 = total;
+    } else {
+      state.monsterCombat.combatantScores[pid] = total;
+      recalcMonsterHP();
+    }
+  }
+
+  function handleDiceClick(el) {
+    const pid = parseInt(el.dataset.pid);
+    const context = el.dataset.context;
+    const name = playerName(pid);
+    switch (el.dataset.dice) {
+      case 'roll':
+        checkpoint(`Tirada de ${name}`);
+        state.combat.dice[pid] = rollDiceFor(pid, diceCount(pid, context), 'Tirada', fixedDiceValue(context));
+        break;
+      case 'reroll': {
+        checkpoint(`Repetir dado de ${name}`);
+        const dice = state.combat.dice[pid];
+        dice[parseInt(el.dataset.idx)] = rollDiceFor(pid, 1, 'Repite', fixedDiceValue(context))[0];
+        break;
+      }
+      case 'extra':
+        checkpoint(`Dado extra de ${name}`);
+        (state.combat.dice[pid] = state.combat.dice[pid] || []).push(rollDiceFor(pid, 1, 'Dado extra', fixedDiceValue(context))[0]);
+        break;
+      case 'rule': {
+        // The first combatant throws the die of an input rule (Grumo's HP roll)
+        const idx = parseInt(el.dataset.rule);
+        const first = state.monsterCombat.combatantIds[0];
+        checkpoint('Tirada de mazmorra');
+        state.monsterCombat.ruleInputs[idx] = first !== undefined
+          ? rollDiceFor(first, 1, 'Habilidad del monstruo')[0]
+          : rollDie();
+        recalcMonsterHP();
+        saveState();
+        renderAll();
+        return;
+      }
+      case 'ruleRow':
+        // A combatant's own die for a row rule (Balrog's offering)
+        checkpoint(`Tirada de ${name}`);
+        ruleInputMap(parseInt(el.dataset.rule))[pid] = rollDiceFor(pid, 1, 'Habilidad del monstruo')[0];
+        recalcMonsterHP();
+        saveState();
+        renderAll();
+        return;
+    }
+    fillScoreFromDice(pid, context);
+    saveState();
+    renderAll();
+  }
+
+  function setDiceModifier(pid, value, context) {
+    checkpoint(`Modificador de ${playerName(pid)}`, true);
+    state.combat.modifiers[pid] = value;
+    fillScoreFromDice(pid, context);
+    saveState();
+    renderAll();
+  }
+
+  function renderDicePanel(pid, context) {
+    const dice = state.combat.dice[pid] || [];
+    const history = state.combat.rolls.filter(r => r.pid === pid);
+    const data = `data-pid="${pid}" data-context="${context}"`;
+    return `
+      <div class="dice-panel">
+        <div class="dice-row">
+          ${dice.map((v, i) => `<button class="die" data-dice="reroll" data-idx="${i}" ${data} title="Repetir este dado">${v}</button>`).join('')}
+          ${dice.length ? `<button class="die die-add" data-dice="extra" ${data} title="Dado extra">+</button>` : ''}
+        </div>
+        <div class="dice-controls">
+          <button class="btn btn-secondary btn-sm" data-dice="roll" ${data}>🎲 Lanzar ${diceCount(pid, context)}</button>
+          <label class="dice-mod-label">Mod.
+            <input type="number" class="dice-mod" ${data} value="${state.combat.modifiers[pid] || 0}" />
+          </label>
+          <span class="dice-total">= ${diceTotal(pid)}</span>
+        </div>
+        ${history.length ? `<div class="dice-history">${history.map(r =>
+          `${r.label}: ${r.dice.join('·')}${r.gold ? ` (+${r.gold} oro)` : ''}`).join(' → ')}</div>` : ''}
+      </div>`;
+  }
+
+  // ─── EQUIPMENT DECK ───────────────────────────────────────
+
+  // Mirrors the physical deck: cards are drawn from the end of equipmentDeck
+  // and the discard pile is reshuffled in once it runs out.
+
+  function buildEquipmentDeck() {
+    return shuffle(EQUIPMENT.flatMap(e => Array(e.count).fill(e.id)));
+  }
+
+  /** Draw the top card, or null when deck and discard pile are both empty */
+  function drawEquipment() {
+    const g = state.game;
+    if (g.equipmentDeck.length === 0 && g.equipmentDiscard.length > 0) {
+      g.equipmentDeck = shuffle(g.equipmentDiscard);
+      g.equipmentDiscard = [];
+    }
+    return g.equipmentDeck.length > 0 ? g.equipmentDeck.pop() : null;
+  }
+
+  /** Pull a specific card out of the deck (or the discard pile) for a manual pick */
+  function takeEquipment(eqId) {
+    for (const pile of [state.game.equipmentDeck, state.game.equipmentDiscard]) {
+      const i = pile.lastIndexOf(eqId);
+      if (i >= 0) { pile.splice(i, 1); return true; }
+    }
+    return false;
+  }
+
+  /** Copies of a card in the deck and discard pile; every card when `eqId` is null */
+  function copiesLeft(eqId) {
+    const g = state.game;
+    const pool = g.equipmentDeck.concat(g.equipmentDiscard);
+    return eqId === null ? pool.length : pool.filter(id => id === eqId).length;
+  }
+
+  /** <option>s for every card, disabled once no copies are left */
+  function equipmentOptions() {
+    return EQUIPMENT.map(e => {
+      const n = copiesLeft(e.id);
+      return `<option value="${e.id}" ${n === 0 ? 'disabled' : ''}>${e.name} (${n})</option>`;
+    }).join('');
+  }
+
+  function eventEffect(ev, effectType) {
+    return ev ? (ev.effects || []).find(e => e.type === effectType) || null : null;
+  }
 
-    document.getElementById('event-badge').textContent = ev.type === 'day' ? 'DÍA' : 'NOCHE';
-    document.getElementById('event-name').textContent  = ev.name;
-    document.getElementById('event-effect').textContent = ev.effect;
-    section.style.display = 'block';
+  function shopIsOpen(ev) {
+    return state.game.timeOfDay === 'day' || eventHas(ev, 'shopOpen');
   }
 
-  function renderMonsterSection(ev) {
+  /** Shop price after event discounts, and the buyer's own discount when given */
+  function shopPrice(eqId, ev, player) {
+    const eq = getEquipment(eqId);
+    if (!eq) return 0;
+    const discount = eventEffect(ev, 'shopDiscount');
+    const price = discount ? Math.floor(eq.price * discount.factor) : eq.price;
+    const char = player ? getChar(player.characterId) : null;
+    return Math.max(0, price - (char?.shopDiscount ?? 0));
+  }
+
+  /** After an event is drawn: unbought cards go to the discard pile, then reveal if the shop opens */
+  function updateShop() {
     const g = state.game;
-    const section = document.getElementById('monster-section');
+    g.equipmentDiscard.push(...g.shop);
+    g.shop = [];
+    const ev = currentEvent();
+    if (shopIsOpen(ev)) revealShop(ev);
+  }
 
-    // Only show during day + digital monsters
-    if (!state.options.digitalMonsters || g.timeOfDay !== 'day') {
-      section.style.display = 'none'; return;
+  function revealShop(ev) {
+    const g = state.game;
+    const perPlayer = eventEffect(ev, 'shopReveal')?.perPlayer ?? 1;
+    for (let i = 0; i < perPlayer * state.players.length; i++) {
+      const eqId = drawEquipment();
+      if (eqId === null) break;
+      g.shop.push(eqId);
     }
+    g.shopEventIndex = g.eventIndex;
+  }
 
-    // Mazmorra Cerrada — hide monster
-    if (ev && ev.name === 'Mazmorra Cerrada') {
+  function renderShop(ev) {
+    const g = state.game;
+    const section = document.getElementById('shop-section');
+    if (!state.options.fullTracking || !shopIsOpen(ev)) {
       section.style.display = 'none'; return;
     }
 
-    // Already dealt with this day's monster
-    if (g.monsterDefeated) {
-      section.style.display = 'none'; return;
+    const notes = [];
+    const reveal = eventEffect(ev, 'shopReveal');
+    if (reveal) notes.push(`${reveal.perPlayer} cartas por jugador`);
+    if (eventHas(ev, 'shopDiscount')) notes.push('precios a mitad');
+    document.getElementById('shop-hint').textContent =
+      `Mazo: ${g.equipmentDeck.length} · Descarte: ${g.equipmentDiscard.length}${notes.length ? ` · ${notes.join(', ')}` : ''}`;
+
+    const list = document.getElementById('shop-list');
+    const revealed = g.shopEventIndex === g.eventIndex;
+    if (!revealed) {
+      list.innerHTML = '<button id="btn-reveal-shop" class="btn btn-secondary btn-sm">Revelar cartas</button>';
+      list.querySelector('button').addEventListener('click', () => {
+        checkpoint('Revelar tienda');
+        updateShop();
+        saveState();
+        renderGame();
+      });
+    } else if (g.shop.length === 0) {
+      list.innerHTML = '<div class="shop-empty">No quedan cartas en la tienda.</div>';
+    } else {
+      list.innerHTML = g.shop.map((eqId, idx) => {
+        const eq = getEquipment(eqId);
+        const price = shopPrice(eqId, ev);
+        return `
+          <div class="shop-item">
+            <div class="shop-item-head">
+              <span class="shop-item-name">${escHtml(eq.name)}</span>
+              <span class="shop-item-cost">
+                ${price !== eq.price ? `<s>${eq.price}</s> ` : ''}💰 ${price} · 🔮 ${eq.mana}
+              </span>
+            </div>
+            <div class="shop-item-text">${escHtml(eq.text)}</div>
+            <select class="equipment-add-select shop-buy" data-idx="${idx}">
+              <option value="">Comprar para…</option>
+              ${state.players.map(p => {
+                const own = shopPrice(eqId, ev, p);
+                const blocked = p.gold < own || p.equipment.length >= p.equipmentSlots;
+                return `<option value="${p.id}" ${blocked ? 'disabled' : ''}>${escHtml(p.name)} (${p.gold})${own !== price ? ` · 💰 ${own}` : ''}</option>`;
+              }).join('')}
+            </select>
+          </div>`;
+      }).join('');
+      list.querySelectorAll('.shop-buy').forEach(sel => {
+        sel.addEventListener('change', () => {
+          if (sel.value !== '') buyEquipment(parseInt(sel.dataset.idx), parseInt(sel.value));
+        });
+      });
     }
-
-    const monsterId = g.monsterDeck[g.monsterDeckIndex];
-    if (monsterId == null) { section.style.display = 'none'; return; }
-
-    const monster = getMonster(monsterId);
-    if (!monster) { section.style.display = 'none'; return; }
-
-    const isLegendary = ev && ev.name === 'Monstruo Legendario';
-    const hp = computeHPDisplay(monster, state.players.length, isLegendary);
-
-    document.getElementById('monster-img').src = monster.image;
-    document.getElementById('monster-img').alt = monster.name;
-    document.getElementById('monster-name').textContent = monster.name + (isLegendary ? ' ⚡' : '');
-    const badge = document.getElementById('monster-tier-badge');
-    badge.textContent = monster.tier.charAt(0).toUpperCase() + monster.tier.slice(1);
-    badge.className = `tier-badge ${monster.tier}`;
-    document.getElementById('monster-hp').textContent     = hp;
-    document.getElementById('monster-ability').textContent = monster.ability;
-    document.getElementById('monster-reward').textContent  = isLegendary ? monster.reward + ' (x2)' : monster.reward;
-    document.getElementById('monster-penalty').textContent = monster.penalty;
-
     section.style.display = 'block';
   }
 
-  // ─── MONSTER COMBAT ───────────────────────────────────────
-
-  function openMonsterCombat() {
+  function buyEquipment(shopIdx, pid) {
     const g = state.game;
-    const monsterId = g.monsterDeck[g.monsterDeckIndex];
-    if (monsterId == null) return;
+    const p = state.players.find(pl => pl.id === pid);
+    const eqId = g.shop[shopIdx];
+    const price = shopPrice(eqId, currentEvent(), p);
+    if (!p || eqId === undefined || p.gold < price || !checkEquipmentRoom(p)) return;
+    checkpoint(`Compra de ${p.name}`);
+    p.gold -= price;
+    if (price) logEntry('gold', { playerId: pid, delta: -price, source: 'shop' });
+    g.shop.splice(shopIdx, 1);
+    p.equipment.push(eqId);
+    saveState();
+    renderGame();
+  }
 
-    const monster = getMonster(monsterId);
-    if (!monster) return;
+  /** Gold a card sells for: half its price, or what the event sets */
+  function sellPrice(eqId, ev) {
+    const eq = getEquipment(eqId);
+    if (!eq) return 0;
+    return Math.floor(eq.price * (eventEffect(ev, 'sellPrice')?.factor ?? RESALE_FACTOR));
+  }
 
-    const ev = currentEvent();
-    const isLegendary = ev && ev.name === 'Monstruo Legendario';
-    const maxHP = computeHP(monster, state.players.length, isLegendary);
+  function sellEquipment(pid, eqId) {
+    const p = state.players.find(pl => pl.id === pid);
+    const eq = getEquipment(eqId);
+    const i = p ? p.equipment.indexOf(eqId) : -1;
+    if (!eq || i < 0) return;
+    if (eq.unsellable) {
+      showModal(eq.name, `${eq.name} no puede venderse.`, [{ label: 'OK', primary: true }]);
+      return;
+    }
+    const price = sellPrice(eqId, currentEvent());
+    checkpoint(`Venta de ${p.name}`);
+    p.equipment.splice(i, 1);
+    state.game.equipmentDiscard.push(eqId);
+    p.gold += price;
+    if (price) logEntry('gold', { playerId: pid, delta: price, source: 'sale' });
+    saveState();
+    renderGame();
+  }
 
-    state.monsterCombat = {
-      monsterId,
-      maxHP: maxHP || 0,
-      currentHP: maxHP || 0,
-      combatantIds: [],
-      combatantScores: {},
-      isLegendary,
-    };
+  // ─── SETTLEMENT ───────────────────────────────────────────
 
-    saveState();
-    navigateTo('monsterCombat');
+  /** Queue `count` discards for a player, cheapest cards first */
+  function addPayoutDiscards(entry, player, count) {
+    const owned = player.equipment.filter(eqId => !getEquipment(eqId)?.undiscardable);
+    for (const eqId of entry.discard) {
+      const i = owned.indexOf(eqId);
+      if (i >= 0) owned.splice(i, 1);
+    }
+    owned.sort((a, b) => (getEquipment(a)?.price ?? 0) - (getEquipment(b)?.price ?? 0));
+    for (let i = 0; i < count && i < owned.length; i++) entry.discard.push(owned[i]);
   }
 
-  function renderMonsterCombat() {
+  /**
+   * Draft the gold / equipment / mana changes of a finished monster combat.
+   * Returns { defeated, entries: { pid: { gold, gain, discard, maxMana, roll, notes } } }
+   * where `roll` is +1 / -1 when the player wins or loses a die's worth of gold.
+   */
+  function buildMonsterPayout(monster, res, defeated) {
     const mc = state.monsterCombat;
-    const monster = getMonster(mc.monsterId);
-    if (!monster) return;
+    const ctx = monsterRuleContext();
+    const ev = currentEvent();
+    const factor = mc.isLegendary || (ev && ev.name === 'Día de Caza') ? 2 : 1;
 
-    document.getElementById('mc-monster-img').src = monster.image;
-    document.getElementById('mc-monster-name').textContent = monster.name + (mc.isLegendary ? ' ⚡' : '');
-    const badge = document.getElementById('mc-tier-badge');
-    badge.textContent = monster.tier.charAt(0).toUpperCase() + monster.tier.slice(1);
-    badge.className = `tier-badge ${monster.tier}`;
+    const group = mc.combatantIds.filter(pid => !res.monsterSide.includes(pid) && !res.blocked.includes(pid));
+    const winners = defeated ? group : res.monsterSide;
+    const losers  = defeated ? res.monsterSide : group;
 
-    // HP bar
-    const pct = mc.maxHP > 0 ? Math.max(0, mc.currentHP / mc.maxHP * 100) : 0;
-    document.getElementById('mc-hp-current').textContent = Math.max(0, mc.currentHP);
-    document.getElementById('mc-hp-max').textContent     = mc.maxHP || 'Especial';
-    const bar = document.getElementById('mc-hp-bar');
-    bar.style.width = pct + '%';
-    bar.classList.toggle('low', pct < 30);
+    const entries = {};
+    const pay = {
+      defeated, winners, losers, entries,
+      entry: pid => entries[pid] = entries[pid] || { gold: 0, draw: 0, gain: [], discard: [], maxMana: 0, roll: 0, notes: [] },
+    };
+    // Draws are only counted here; the cards leave the deck when the payout is applied
+    let pool = copiesLeft(null);
+
+    const applyItem = (item, pid, sign, mult) => {
+      const player = state.players.find(p => p.id === pid);
+      if (!player) return;
+      const e = pay.entry(pid);
+      switch (item.kind) {
+        case 'gold':      e.gold += sign * item.amount * mult; break;
+        case 'maxMana':   e.maxMana += sign * item.amount * mult; break;
+        case 'rollGold':
+          e.roll = sign;
+          if (state.options.digitalDice) e.rollValue = rollDie();
+          break;
+        case 'discard':   addPayoutDiscards(e, player, item.count); break;
+        case 'equipment':
+          for (let i = 0; i < item.count * mult; i++) {
+            // Queued discards free their slots; cards that don't fit stay in the deck
+            if (player.equipment.length - e.discard.length + e.draw >= player.equipmentSlots) {
+              e.notes.push(`Inventario lleno: ${item.count * mult - i} equipamiento(s) sin recibir`);
+              break;
+            }
+            if (pool === 0) { e.notes.push('Mazo de equipamiento agotado'); break; }
+            pool--;
+            e.draw++;
+          }
+          break;
+      }
+    };
 
-    // Combatant toggles
-    const toggleDiv = document.getElementById('mc-combatant-toggle');
-    toggleDiv.innerHTML = '';
-    for (const p of state.players) {
-      const char = getChar(p.characterId);
-      const checked = mc.combatantIds.includes(p.id);
-      const label = document.createElement('label');
-      label.className = checked ? 'selected' : '';
-      label.innerHTML = `
-        <input type="checkbox" data-pid="${p.id}" ${checked ? 'checked' : ''} />
-        ${char?.emoji ?? ''} ${escHtml(p.name)}
-      `;
-      toggleDiv.appendChild(label);
-    }
+    const targets = (who, pool) => {
+      switch (who) {
+        case 'absent': return ctx.absent.map(p => p.id);
+        case 'worst': {
+          const scored = pool.map(pid => ({ pid, score: ctx.scores[pid] || 0 }));
+          if (scored.length === 0) return [];
+          const min = Math.min(...scored.map(x => x.score));
+          return scored.filter(x => x.score === min).map(x => x.pid);
+        }
+        case 'lowestWager': {
+          const bets = wagerInputs(monster);
+          if (pool.length === 0) return [];
+          const min = Math.min(...pool.map(pid => bets[pid] || 0));
+          return pool.filter(pid => (bets[pid] || 0) === min);
+        }
+        default: return pool;
+      }
+    };
 
-    // Combatant score rows
-    const listDiv = document.getElementById('mc-combatant-list');
-    listDiv.innerHTML = '';
-    for (const pid of mc.combatantIds) {
-      const p = state.players.find(pl => pl.id === pid);
-      if (!p) continue;
-      const char = getChar(p.characterId);
-      const score = mc.combatantScores[pid] || 0;
-      const row = document.createElement('div');
-      row.className = 'combatant-row';
-      row.innerHTML = `
-        <span class="combatant-name">${char?.emoji ?? ''} ${escHtml(p.name)}</span>
-        <div class="combatant-score">
-          <button class="hold-btn mc-dec" data-pid="${pid}">−</button>
-          <span class="combatant-value" id="mc-score-${pid}">${score}</span>
-          <button class="hold-btn mc-inc" data-pid="${pid}">+</button>
-        </div>
-      `;
-      listDiv.appendChild(row);
+    const rewarded = winners.filter(pid => !res.noReward.includes(pid));
+    for (const item of monster.rewardPayout || []) {
+      if (item.kind === 'ranked') {
+        const bets = wagerInputs(monster);
+        const levels = [...new Set(rewarded.map(pid => bets[pid] || 0))].sort((a, b) => b - a);
+        levels.forEach((bet, rank) => {
+          const prize = item.prizes[rank];
+          if (!prize) return;
+          for (const pid of rewarded) if ((bets[pid] || 0) === bet) applyItem(prize, pid, 1, factor);
+        });
+        continue;
+      }
+      for (const pid of targets(item.who, rewarded)) applyItem(item, pid, 1, factor);
     }
+    for (const item of monster.penaltyPayout || []) {
+      for (const pid of targets(item.who, losers)) applyItem(item, pid, -1, 1);
+    }
+    for (const pid of res.noReward) if (winners.includes(pid)) pay.entry(pid).notes.push('Sin recompensa');
 
-    // Attach listeners
-    listDiv.querySelectorAll('.mc-inc').forEach(btn => {
-      attachHoldButton(btn, () => adjustCombatantScore(parseInt(btn.dataset.pid), 1));
-    });
-    listDiv.querySelectorAll('.mc-dec').forEach(btn => {
-      attachHoldButton(btn, () => adjustCombatantScore(parseInt(btn.dataset.pid), -1));
+    (monster.rules || []).forEach((rule, i) => {
+      const handler = MONSTER_RULES[rule.type];
+      if (handler && handler.settle) handler.settle(rule, { ...ctx, input: mc.ruleInputs[i] }, pay);
     });
 
-    toggleDiv.querySelectorAll('input').forEach(cb => {
-      cb.addEventListener('change', () => {
-        const pid = parseInt(cb.dataset.pid);
-        if (cb.checked) {
-          if (!mc.combatantIds.includes(pid)) mc.combatantIds.push(pid);
-          if (!mc.combatantScores[pid]) mc.combatantScores[pid] = 0;
-        } else {
-          mc.combatantIds = mc.combatantIds.filter(id => id !== pid);
-          delete mc.combatantScores[pid];
-        }
-        saveState();
-        recalcMonsterHP();
-        renderMonsterCombat();
-      });
-    });
+    return { defeated, entries };
   }
 
-  function adjustCombatantScore(pid, delta) {
-    const mc = state.monsterCombat;
-    mc.combatantScores[pid] = Math.max(0, (mc.combatantScores[pid] || 0) + delta);
-    recalcMonsterHP();
-    saveState();
-
-    const el = document.getElementById(`mc-score-${pid}`);
-    if (el) el.textContent = mc.combatantScores[pid];
-
-    const pct = mc.maxHP > 0 ? Math.max(0, mc.currentHP / mc.maxHP * 100) : 0;
-    document.getElementById('mc-hp-current').textContent = Math.max(0, mc.currentHP);
-    const bar = document.getElementById('mc-hp-bar');
-    bar.style.width = pct + '%';
-    bar.classList.toggle('low', pct < 30);
+  function wagerInputs(monster) {
+    const idx = (monster.rules || []).findIndex(r => r.type === 'wager');
+    return idx >= 0 ? state.monsterCombat.ruleInputs[idx] || {} : {};
   }
 
-  function recalcMonsterHP() {
-    const mc = state.monsterCombat;
-    let totalDmg = 0;
-    for (const pid of mc.combatantIds) totalDmg += (mc.combatantScores[pid] || 0);
-    mc.currentHP = mc.maxHP - totalDmg;
+  function applyPayout(payout) {
+    checkpoint('Recompensas y penitencias');
+    for (const [pidStr, e] of Object.entries(payout.entries)) {
+      const p = state.players.find(pl => pl.id === parseInt(pidStr));
+      if (!p) continue;
+      const gold = p.gold;
+      p.gold = Math.max(0, p.gold + e.gold + e.roll * (e.rollValue || 0));
+      if (p.gold !== gold) logEntry('gold', { playerId: p.id, delta: p.gold - gold, source: 'monster' });
+      for (const eqId of e.discard) {
+        const i = p.equipment.indexOf(eqId);
+        if (i < 0) continue;   // already sold or moved since the draft
+        p.equipment.splice(i, 1);
+        state.game.equipmentDiscard.push(eqId);
+      }
+      // Picks first, then draws; the draft may be stale (cards bought since), so stop when the hand is full
+      let missed = 0;
+      for (const eqId of e.gain.concat(Array(e.draw).fill(null))) {
+        if (p.equipment.length >= p.equipmentSlots) { missed++; continue; }
+        if (eqId === null) {
+          const drawn = drawEquipment();
+          if (drawn === null) missed++;
+          else p.equipment.push(drawn);
+        } else if (takeEquipment(eqId)) {
+          p.equipment.push(eqId);
+        } else {
+          missed++;
+        }
+      }
+      if (missed) {
+        state.game.pendingNotifications.push(`${p.name} no recibe ${missed} equipamiento(s): sin espacio o sin copias.`);
+      }
+      if (e.maxMana) {
+        p.maxMana = Math.max(1, p.maxMana + e.maxMana);
+        p.mana = e.maxMana > 0 ? Math.min(p.mana + e.maxMana, p.maxMana) : Math.min(p.mana, p.maxMana);
+        logEntry('mana', { playerId: p.id, delta: e.maxMana, max: true, source: 'monster' });
+      }
+    }
+    saveState();
   }
 
-  function endMonsterCombat() {
-    const mc = state.monsterCombat;
-    const g = state.game;
-    const defeated = mc.currentHP <= 0;
-
-    if (defeated) {
-      const monster = getMonster(mc.monsterId);
-      const tier = monster ? monster.tier : null;
-
-      g.monsterDefeated = true;
-      g.monsterDeckIndex++;
+  /** Review modal for a drafted payout; the table can edit it before it is applied */
+  function openSettlement(title, payout) {
+    const body = document.createElement('div');
+    body.className = 'payout-list';
 
-      if (tier) checkTierCompletion(g.monsterDeck, g.monsterDeckIndex, tier);
+    function renderRows() {
+      const pids = Object.keys(payout.entries).map(Number);
+      if (pids.length === 0) {
+        body.textContent = payout.defeated ? 'El monstruo ha sido vencido.' : 'Nadie recibe cambios.';
+        return;
+      }
+      body.innerHTML = pids.map(pid => {
+        const p = state.players.find(pl => pl.id === pid);
+        const e = payout.entries[pid];
+        const char = p ? getChar(p.characterId) : null;
+        return `
+          <div class="payout-row">
+            <div class="payout-name">${char?.emoji ?? ''} ${escHtml(p ? p.name : '')}</div>
+            ${e.notes.length ? `<div class="payout-notes">${e.notes.map(escHtml).join(' · ')}</div>` : ''}
+            <label class="payout-field">Oro
+              <input type="number" class="payout-input" data-pid="${pid}" data-field="gold" value="${e.gold}" />
+            </label>
+            ${e.roll ? `<label class="payout-field">🎲 ${e.roll > 0 ? 'gana' : 'pierde'}
+              <input type="number" min="1" max="6" class="payout-input" data-pid="${pid}" data-field="rollValue" value="${e.rollValue || ''}" />
+            </label>` : ''}
+            ${e.maxMana ? `<label class="payout-field">Maná máx.
+              <input type="number" class="payout-input" data-pid="${pid}" data-field="maxMana" value="${e.maxMana}" />
+            </label>` : ''}
+            <div class="equipment-chips">
+              ${e.draw ? `<span class="equipment-chip">+ ${e.draw} al azar<button data-pid="${pid}" data-list="draw">✕</button></span>` : ''}
+              ${e.gain.map((eqId, i) => `<span class="equipment-chip">+ ${escHtml(getEquipment(eqId)?.name ?? '')}<button data-pid="${pid}" data-list="gain" data-idx="${i}">✕</button></span>`).join('')}
+              ${e.discard.map((eqId, i) => `<span class="equipment-chip payout-discard">− ${escHtml(getEquipment(eqId)?.name ?? '')}<button data-pid="${pid}" data-list="discard" data-idx="${i}">✕</button></span>`).join('')}
+            </div>
+            <div class="equipment-add-row">
+              <select class="equipment-add-select payout-add" data-pid="${pid}" data-list="gain">
+                <option value="">+ Recibe</option>
+                ${equipmentOptions()}
+              </select>
+              <select class="equipment-add-select payout-add" data-pid="${pid}" data-list="discard">
+                <option value="">− Descarta</option>
+                ${(p ? p.equipment : []).filter(eqId => !getEquipment(eqId)?.undiscardable)
+                  .map(eqId => `<option value="${eqId}">${getEquipment(eqId)?.name ?? ''}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+        `;
+      }).join('');
 
-      showModal('Monstruo Derrotado', 'El monstruo ha sido vencido.', [
-        { label: 'OK', primary: true, action: () => navigateTo('game') },
-      ]);
-    } else {
-      showModal('Combate Fallido', 'El grupo no logró derrotar al monstruo. Se aplica la penitencia.', [
-        { label: 'OK', primary: true, action: () => navigateTo('game') },
-      ]);
+      body.querySelectorAll('.payout-input').forEach(input => {
+        input.addEventListener('change', () => {
+          payout.entries[input.dataset.pid][input.dataset.field] = parseInt(input.value) || 0;
+        });
+      });
+      // Nothing leaves the deck until Aplicar, so removing a chip only edits the draft
+      body.querySelectorAll('.equipment-chip button').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const e = payout.entries[btn.dataset.pid];
+          if (btn.dataset.list === 'draw') e.draw--;
+          else e[btn.dataset.list].splice(parseInt(btn.dataset.idx), 1);
+          renderRows();
+        });
+      });
+      body.querySelectorAll('.payout-add').forEach(sel => {
+        sel.addEventListener('change', () => {
+          const eqId = parseInt(sel.value);
+          const picked = Object.values(payout.entries).flatMap(e => e.gain).filter(id => id === eqId).length;
+          if (eqId && (sel.dataset.list !== 'gain' || copiesLeft(eqId) > picked)) {
+            payout.entries[sel.dataset.pid][sel.dataset.list].push(eqId);
+          }
+          renderRows();
+        });
+      });
     }
-    saveState();
+
+    renderRows();
+    showModal(title, body, [
+      { label: 'Omitir', primary: false, action: () => navigateTo('game') },
+      { label: 'Aplicar', primary: true, action: () => { applyPayout(payout); navigateTo('game'); } },
+    ]);
   }
 
   function skipMonster() {
+    checkpoint('Omitir monstruo');
     state.game.monsterDefeated = true;
     saveState();
     renderGame();
@@ -530,6 +3182,7 @@
     const maxTierIdx = Math.max(...tierIndices);
     if (currentIdx > maxTierIdx && maxTierIdx >= 0) {
       state.game.pendingNotifications.push(`¡Tier ${tier} completado! +1 maná máximo a todos`);
+      logEntry('tier', { tier });
       for (const p of state.players) {
         p.maxMana++;
         p.mana = Math.min(p.mana + 1, p.maxMana);
@@ -542,6 +3195,7 @@
   function renderPlayerCards() {
     const container = document.getElementById('players-scroll');
     container.innerHTML = '';
+    const ev = currentEvent();
 
     for (const player of state.players) {
       const char = getChar(player.characterId);
@@ -584,15 +3238,29 @@
           <div class="equipment-chips" id="equip-${player.id}">
             ${player.equipment.map(eqId => {
               const eq = EQUIPMENT.find(e => e.id === eqId);
-              return eq ? `<span class="equipment-chip">${eq.name}<button data-pid="${player.id}" data-eqid="${eqId}">✕</button></span>` : '';
+              if (!eq) return '';
+              return eq.undiscardable
+                ? `<span class="equipment-chip cursed" title="${escHtml(eq.text)}">${eq.name}</span>`
+                : `<span class="equipment-chip">${eq.name}${eq.unsellable ? '' : `<button class="equipment-sell" data-pid="${player.id}" data-eqid="${eqId}"
+                    title="Vender">💰${sellPrice(eqId, ev)}</button>`}<button class="equipment-remove" data-pid="${player.id}" data-eqid="${eqId}" title="Descartar">✕</button></span>`;
             }).join('')}
           </div>
           <div class="equipment-add-row">
+            <span class="equipment-slots ${player.equipment.length >= player.equipmentSlots ? 'full' : ''}">${player.equipment.length}/${player.equipmentSlots}</span>
             <select class="equipment-add-select" data-pid="${player.id}">
               <option value="">+ Equipamiento</option>
-              ${EQUIPMENT.map(e => `<option value="${e.id}">${e.name}</option>`).join('')}
+              ${equipmentOptions()}
             </select>
+            <button class="btn btn-ghost btn-sm equipment-draw" data-pid="${player.id}" title="Equipamiento aleatorio del mazo">🎲</button>
           </div>
+          <div class="item-chips">
+            ${renderItemChips(player, 'board')}
+            <select class="item-add-select" data-pid="${player.id}" aria-label="Agregar objeto">
+              <option value="">+ Objeto</option>
+              ${itemOptions()}
+            </select>
+          </div>
+          <div class="passive-controls">${renderPassiveControls(player, false)}</div>
         `;
       }
 
@@ -618,24 +3286,38 @@
       container.querySelectorAll('.mana-max-dec').forEach(btn => {
         btn.addEventListener('click', () => adjustMaxMana(parseInt(btn.dataset.pid), -1));
       });
-      container.querySelectorAll('.equipment-chips button').forEach(btn => {
+      container.querySelectorAll('.equipment-remove').forEach(btn => {
         btn.addEventListener('click', () => {
           removeEquipment(parseInt(btn.dataset.pid), parseInt(btn.dataset.eqid));
         });
       });
+      container.querySelectorAll('.equipment-sell').forEach(btn => {
+        btn.addEventListener('click', () => sellEquipment(parseInt(btn.dataset.pid), parseInt(btn.dataset.eqid)));
+      });
       container.querySelectorAll('.equipment-add-select').forEach(sel => {
         sel.addEventListener('change', () => {
           const eqid = parseInt(sel.value);
           if (eqid) { addEquipment(parseInt(sel.dataset.pid), eqid); sel.value = ''; }
         });
       });
+      container.querySelectorAll('.equipment-draw').forEach(btn => {
+        btn.addEventListener('click', () => addEquipment(parseInt(btn.dataset.pid), null));
+      });
+      container.querySelectorAll('.item-add-select').forEach(sel => {
+        sel.addEventListener('change', () => {
+          if (sel.value) addItem(parseInt(sel.dataset.pid), sel.value);
+        });
+      });
     }
   }
 
   function adjustGold(pid, delta) {
     const p = state.players.find(p => p.id === pid);
     if (!p) return;
+    checkpoint(`Oro de ${p.name}`, true);
+    const before = p.gold;
     p.gold = Math.max(0, p.gold + delta);
+    if (p.gold !== before) logEntry('gold', { playerId: pid, delta: p.gold - before, source: 'manual' });
     saveState();
     const el = document.getElementById(`gold-${pid}`);
     if (el) el.textContent = p.gold;
@@ -644,7 +3326,10 @@
   function toggleMana(pid, idx) {
     const p = state.players.find(p => p.id === pid);
     if (!p) return;
+    checkpoint(`Maná de ${p.name}`);
+    const before = p.mana;
     p.mana = idx < p.mana ? idx : idx + 1;
+    logEntry('mana', { playerId: pid, delta: p.mana - before, source: 'manual' });
     saveState();
     const container = document.getElementById(`mana-${pid}`);
     if (container) {
@@ -657,32 +3342,49 @@
   function adjustMaxMana(pid, delta) {
     const p = state.players.find(p => p.id === pid);
     if (!p) return;
+    checkpoint(`Maná máximo de ${p.name}`);
+    const before = p.maxMana;
     p.maxMana = Math.max(1, p.maxMana + delta);
+    if (p.maxMana !== before) logEntry('mana', { playerId: pid, delta: p.maxMana - before, max: true, source: 'manual' });
     p.mana = Math.min(p.mana, p.maxMana);
     saveState();
     renderPlayerCards();
   }
 
+  /** Give a player a card from the deck: `eqId`, or a random draw when null */
   function addEquipment(pid, eqId) {
     const p = state.players.find(p => p.id === pid);
-    if (!p) return;
+    if (!p || copiesLeft(eqId) === 0 || !checkEquipmentRoom(p)) return;
+    checkpoint(`Equipamiento de ${p.name}`);
+    if (eqId === null) eqId = drawEquipment();
+    else takeEquipment(eqId);
     p.equipment.push(eqId);
     saveState();
-    renderPlayerCards();
+    renderGame();
   }
 
   function removeEquipment(pid, eqId) {
     const p = state.players.find(p => p.id === pid);
     if (!p) return;
+    const eq = getEquipment(eqId);
+    if (eq?.undiscardable) {
+      showModal(eq.name, `${eq.name} no puede descartarse.`, [{ label: 'OK', primary: true }]);
+      return;
+    }
+    checkpoint(`Equipamiento de ${p.name}`);
     const i = p.equipment.indexOf(eqId);
-    if (i >= 0) p.equipment.splice(i, 1);
+    if (i >= 0) {
+      p.equipment.splice(i, 1);
+      state.game.equipmentDiscard.push(eqId);
+    }
     saveState();
-    renderPlayerCards();
+    renderGame();
   }
 
   // ─── TIME ADVANCE ─────────────────────────────────────────
 
   function advanceTime() {
+    checkpoint('Avanzar');
     const g = state.game;
 
     // If current event is day + Mazmorra Cerrada, auto-skip monster
@@ -690,17 +3392,13 @@
     if (ev && ev.type === 'day' && ev.name === 'Mazmorra Cerrada' && !g.monsterDefeated) {
       g.monsterDefeated = true;
       g.monsterDeckIndex++;
+      g.carriedMonster = null;
     }
 
     // Check if 12 days have been reached and we're advancing past
     if (g.currentDay >= 12 && g.timeOfDay === 'day') {
       // Move to tournament after the 12th day
-      state.tournament = {
-        phase: 'pre',
-        seeds: state.players.map(p => ({ playerId: p.id, seedRank: null })),
-        rounds: [],
-        championId: null,
-      };
+      state.tournament = newTournament(state.players);
       saveState();
       navigateTo('tournament');
       return;
@@ -710,12 +3408,7 @@
     g.eventIndex++;
     if (g.eventIndex >= g.eventDeck.length) {
       // Deck exhausted — go to tournament
-      state.tournament = {
-        phase: 'pre',
-        seeds: state.players.map(p => ({ playerId: p.id, seedRank: null })),
-        rounds: [],
-        championId: null,
-      };
+      state.tournament = newTournament(state.players);
       saveState();
       navigateTo('tournament');
       return;
@@ -732,8 +3425,146 @@
       // Tournament transition happens on next "Avanzar" click (handled above)
     }
 
-    saveState();
-    renderAll();
+    logEvent(nextEntry);
+    const drawn = currentEvent();
+    if (state.options.fullTracking && drawn) applyEventEffects(drawn);
+    if (state.options.fullTracking) updateShop();
+
+    saveState();
+    renderAll();
+  }
+
+  // ─── GAME LOG ─────────────────────────────────────────────
+
+  function logEntry(type, data) {
+    const g = state.game;
+    const last = state.log[state.log.length - 1];
+    // Taps on the same counter read as one change
+    if (data.source === 'manual' && last && last.type === type && last.source === 'manual' &&
+        last.playerId === data.playerId && !!last.max === !!data.max && last.day === g.currentDay) {
+      last.delta += data.delta;
+      last.at = Date.now();
+      if (last.delta === 0) state.log.pop();
+      return;
+    }
+    state.log.push({ type, day: g.currentDay, time: g.timeOfDay, at: Date.now(), ...data });
+  }
+
+  function logEvent(entry) {
+    const ev = (entry.type === 'day' ? DAY_EVENTS : NIGHT_EVENTS).find(e => e.id === entry.eventId);
+    logEntry('event', { eventType: entry.type, eventId: entry.eventId, name: ev ? ev.name : '' });
+  }
+
+  function playerName(pid) {
+    const p = state.players.find(pl => pl.id === pid);
+    return p ? p.name : '?';
+  }
+
+  function describeLogEntry(e) {
+    const signed = n => (n > 0 ? `+${n}` : `${n}`);
+    switch (e.type) {
+      case 'event':
+        return `${e.eventType === 'day' ? '☀️' : '🌙'} ${e.name}`;
+      case 'monster': {
+        const m = getMonster(e.monsterId);
+        const who = e.combatantIds.map(pid => `${playerName(pid)} ${e.scores[pid] || 0}`).join(', ');
+        return `🐉 ${m ? m.name : '?'} ${e.defeated ? 'derrotado' : 'resistió'} (${e.maxHP} de vida)${who ? ` — ${who}` : ''}`;
+      }
+      case 'duel':
+        return `⚔️ ${playerName(e.player1Id)} ${e.score1} – ${e.score2} ${playerName(e.player2Id)} · gana ${playerName(e.winnerId)}${e.matchId ? ' (torneo)' : ''}`;
+      case 'steal':
+        return `🏹 ${playerName(e.toId)} roba ${e.amount} de oro a ${playerName(e.fromId)}`;
+      case 'transfer':
+        return `☠️ ${getEquipment(e.eqId)?.name ?? 'Una carta'} pasa de ${playerName(e.fromId)} a ${playerName(e.toId)}`;
+      case 'gold':
+        return `💰 ${playerName(e.playerId)} ${signed(e.delta)} de oro`;
+      case 'mana':
+        return `🔮 ${playerName(e.playerId)} ${signed(e.delta)} ${e.max ? 'maná máximo' : 'maná'}`;
+      case 'tier':
+        return `⭐ Tier ${e.tier} completado`;
+      case 'item': {
+        const item = getItem(e.itemId);
+        return `${item?.emoji ?? '🎒'} ${playerName(e.playerId)} usa ${item?.name ?? 'un objeto'}`;
+      }
+      default:
+        return e.type;
+    }
+  }
+
+  function openGameLog() {
+    const body = document.createElement('div');
+    body.className = 'log-list';
+    body.innerHTML = state.log.length === 0
+      ? '<div class="timeline-empty">Todavía no pasó nada.</div>'
+      : state.log.slice().reverse().map(e => `
+          <div class="log-item log-${e.type}">
+            <span class="log-when">${e.time === 'night' ? '🌙' : '☀️'} ${e.day}</span>
+            <span class="log-text">${escHtml(describeLogEntry(e))}</span>
+          </div>`).join('');
+    showModal('Registro de la Partida', body, [{ label: 'Cerrar', primary: true }]);
+  }
+
+  /** Per-player totals over the whole log, for the champion chronicle */
+  function chronicleStats() {
+    const stats = {};
+    for (const p of state.players) {
+      stats[p.id] = { duelsWon: 0, duelsLost: 0, monstersFought: 0, monstersDefeated: 0, goldGained: 0, goldStolen: 0 };
+    }
+    const summary = { events: 0, monstersDefeated: 0, monstersFailed: 0, duels: 0 };
+
+    for (const e of state.log) {
+      switch (e.type) {
+        case 'event': summary.events++; break;
+        case 'monster':
+          summary[e.defeated ? 'monstersDefeated' : 'monstersFailed']++;
+          for (const pid of e.combatantIds) {
+            if (!stats[pid]) continue;
+            stats[pid].monstersFought++;
+            if (e.defeated) stats[pid].monstersDefeated++;
+          }
+          break;
+        case 'duel': {
+          summary.duels++;
+          const loserId = e.winnerId === e.player1Id ? e.player2Id : e.player1Id;
+          if (stats[e.winnerId]) stats[e.winnerId].duelsWon++;
+          if (stats[loserId]) stats[loserId].duelsLost++;
+          break;
+        }
+        case 'gold':
+          if (stats[e.playerId] && e.delta > 0) stats[e.playerId].goldGained += e.delta;
+          break;
+        case 'steal':
+          if (stats[e.toId]) stats[e.toId].goldStolen += e.amount;
+          break;
+      }
+    }
+    return { summary, stats };
+  }
+
+  function renderChronicle() {
+    const { summary, stats } = chronicleStats();
+    document.getElementById('chronicle-summary').textContent =
+      `${state.game.currentDay} días · ${summary.events} eventos · ` +
+      `${summary.monstersDefeated} monstruos derrotados, ${summary.monstersFailed} combates fallidos · ${summary.duels} duelos`;
+
+    const showGold = state.options.fullTracking;
+    document.getElementById('chronicle-stats').innerHTML = `
+      <thead><tr>
+        <th>Jugador</th><th>Duelos</th><th>Mazmorra</th>${showGold ? '<th>Oro ganado</th>' : ''}
+      </tr></thead>
+      <tbody>
+        ${state.players.map(p => {
+          const st = stats[p.id];
+          const char = getChar(p.characterId);
+          return `<tr>
+            <td>${char?.emoji ?? ''} ${escHtml(p.name)}</td>
+            <td>${st.duelsWon}–${st.duelsLost}</td>
+            <td>${st.monstersDefeated}/${st.monstersFought}</td>
+            ${showGold ? `<td>${st.goldGained}${st.goldStolen ? ` (🏹 ${st.goldStolen})` : ''}</td>` : ''}
+          </tr>`;
+        }).join('')}
+      </tbody>
+    `;
   }
 
   // ─── NOTIFICATIONS ────────────────────────────────────────
@@ -743,6 +3574,7 @@
     if (!queue || queue.length === 0) return;
     showModal('Notificación', queue[0], [
       { label: 'OK', primary: true, action: () => {
+        checkpoint('Cerrar notificación', true);
         state.game.pendingNotifications.shift();
         saveState();
         flushNotifications();
@@ -755,7 +3587,10 @@
   function showModal(title, body, buttons) {
     const overlay = document.getElementById('modal-overlay');
     document.getElementById('modal-title').textContent = title;
-    document.getElementById('modal-body').textContent  = body;
+    const bodyEl = document.getElementById('modal-body');
+    bodyEl.textContent = '';
+    if (body instanceof Node) bodyEl.appendChild(body);
+    else bodyEl.textContent = body;
 
     const actionsEl = document.getElementById('modal-actions');
     actionsEl.innerHTML = '';
@@ -779,11 +3614,14 @@
   // ─── DUEL ─────────────────────────────────────────────────
 
   function openDuel(matchId) {
+    beginCombat();
+    const match = matchId ? findMatch(matchId) : null;
     state.duel = {
-      player1Id: state.players[0]?.id ?? null,
-      player2Id: state.players[1]?.id ?? null,
+      player1Id: match ? match.player1Id : state.players[0]?.id ?? null,
+      player2Id: match ? match.player2Id : state.players[1]?.id ?? null,
       score1: 0, score2: 0,
       winnerId: null, matchId: matchId || null,
+      plays: [],
     };
     saveState();
     navigateTo('duel');
@@ -799,6 +3637,16 @@
     document.getElementById('fighter-2').classList.remove('winner');
     document.getElementById('score-1').textContent = d.score1;
     document.getElementById('score-2').textContent = d.score2;
+    renderDuelPlays();
+
+    const match = d.matchId ? findMatch(d.matchId) : null;
+    const series = document.getElementById('duel-series');
+    series.style.display = match && state.tournament.bestOf > 1 ? 'block' : 'none';
+    if (match) {
+      const wins = seriesWins(match);
+      series.textContent = `Juego ${(match.games || []).length + 1} · al mejor de ${state.tournament.bestOf} · ` +
+        `${playerName(match.player1Id)} ${wins[match.player1Id] || 0}–${wins[match.player2Id] || 0} ${playerName(match.player2Id)}`;
+    }
   }
 
   function populateDuelSelect(sel, excludeId, selectedId) {
@@ -821,6 +3669,12 @@
     const char = p ? getChar(p.characterId) : null;
     document.getElementById(`fighter-${num}-name`).textContent = p ? p.name : '—';
     document.getElementById(`fighter-${num}-char`).textContent = char ? `${char.emoji} ${char.class}` : '';
+    document.getElementById(`fighter-${num}-passives`).innerHTML =
+      p && state.options.fullTracking ? renderPassiveControls(p, true) : '';
+    document.getElementById(`fighter-${num}-dice`).innerHTML =
+      p && state.options.digitalDice ? renderDicePanel(p.id, 'duel') : '';
+    document.getElementById(`fighter-${num}-hand`).innerHTML =
+      p && state.options.fullTracking ? renderDuelHand(p) : '';
   }
 
   function getDuelScore(num) {
@@ -828,6 +3682,7 @@
   }
 
   function setDuelScore(num, val) {
+    checkpoint('Puntaje de duelo', true);
     val = Math.max(0, val);
     document.getElementById(`score-${num}`).textContent = val;
     if (num === 1) state.duel.score1 = val; else state.duel.score2 = val;
@@ -837,11 +3692,65 @@
   function declareWinner() {
     const s1 = getDuelScore(1), s2 = getDuelScore(2);
     if (s1 === s2) {
-      showModal('Empate', 'Las puntuaciones están empatadas.', [{ label: 'OK', primary: true }]);
+      const match = state.duel.matchId ? findMatch(state.duel.matchId) : null;
+      if (match) breakTie(match, s1);
+      else showModal('Empate', 'Las puntuaciones están empatadas.', [{ label: 'OK', primary: true }]);
       return;
     }
+    finishDuel(s1 > s2 ? 1 : 2, s1, s2);
+  }
+
+  /** Tournament ties follow `tournament.tiebreak` */
+  function breakTie(match, score) {
+    const d = state.duel;
+    switch (state.tournament.tiebreak) {
+      case 'reroll':
+        showModal('Muerte súbita', 'Empate: cada jugador lanza un dado y lo suma hasta que uno supere al otro.', [
+          { label: '🎲 Lanzar', primary: true, action: () => {
+            checkpoint('Muerte súbita');
+            // Plain dice: passives like Remi's gold on a six don't apply to a tiebreak
+            const roll = pid => {
+              const value = rollDie();
+              state.combat.rolls.push({ pid, dice: [value], label: 'Muerte súbita', at: Date.now() });
+              return value;
+            };
+            let s1 = score, s2 = score;
+            while (s1 === s2) {
+              s1 += roll(d.player1Id);
+              s2 += roll(d.player2Id);
+            }
+            finishDuel(s1 > s2 ? 1 : 2, s1, s2);
+          }},
+          { label: 'Cerrar', primary: false },
+        ]);
+        break;
+      case 'replay':
+        showModal('Empate', 'El duelo se repite desde cero.', [
+          { label: 'Repetir', primary: true, action: () => { resetDuel(); renderAll(); } },
+        ]);
+        break;
+      default: {
+        const advNum = match.advantagePlayerId === d.player2Id ? 2 : 1;
+        showModal('Empate', `${playerName(advNum === 1 ? d.player1Id : d.player2Id)} gana el empate por tener ventaja.`, [
+          { label: 'OK', primary: true, action: () => finishDuel(advNum, score, score) },
+        ]);
+      }
+    }
+  }
+
+  function resetDuel() {
+    checkpoint('Reiniciar duelo');
+    clearDuelPlays();
+    state.duel.score1 = 0; state.duel.score2 = 0; state.duel.winnerId = null;
+    saveState();
+  }
 
-    const winNum = s1 > s2 ? 1 : 2;
+  function finishDuel(winNum, s1, s2) {
+    checkpoint('Declarar ganador');
+    state.duel.score1 = s1;
+    state.duel.score2 = s2;
+    document.getElementById('score-1').textContent = s1;
+    document.getElementById('score-2').textContent = s2;
     const loseNum = winNum === 1 ? 2 : 1;
     document.getElementById(`fighter-${winNum}`).classList.add('winner');
     document.getElementById(`fighter-${loseNum}`).classList.remove('winner');
@@ -849,6 +3758,13 @@
     const winnerId = winNum === 1 ? state.duel.player1Id : state.duel.player2Id;
     const loserId  = winNum === 1 ? state.duel.player2Id : state.duel.player1Id;
     state.duel.winnerId = winnerId;
+    endCombat();
+    logEntry('duel', {
+      player1Id: state.duel.player1Id, player2Id: state.duel.player2Id,
+      score1: s1, score2: s2,
+      winnerId, matchId: state.duel.matchId,
+    });
+    if (state.options.fullTracking) passCursedEquipment();
     saveState();
 
     const winner = state.players.find(p => p.id === winnerId);
@@ -856,8 +3772,10 @@
     if (state.options.fullTracking && winner?.characterId === 'nyra' && loser) {
       showModal('Habilidad de Nyra', `¿Nyra roba 7 de oro a ${loser.name}?`, [
         { label: 'Sí', primary: true, action: () => {
+          checkpoint('Robo de Nyra');
           const stolen = Math.min(7, loser.gold);
           loser.gold -= stolen; winner.gold += stolen;
+          logEntry('steal', { fromId: loser.id, toId: winner.id, amount: stolen });
           saveState(); handlePostDuel(winnerId);
         }},
         { label: 'No', primary: false, action: () => handlePostDuel(winnerId) },
@@ -867,8 +3785,362 @@
     handlePostDuel(winnerId);
   }
 
+  /** Cards like Plaga change hands between the two fighters when the duel ends */
+  function passCursedEquipment() {
+    const fighters = [state.duel.player1Id, state.duel.player2Id].map(id => state.players.find(p => p.id === id));
+    if (fighters.some(p => !p)) return;
+    const moves = fighters.map((from, i) => ({
+      from, to: fighters[1 - i],
+      cards: from.equipment.filter(eqId => getEquipment(eqId)?.transfersOnCombatEnd),
+    }));
+    for (const { from, to, cards } of moves) {
+      for (const eqId of cards) {
+        from.equipment.splice(from.equipment.indexOf(eqId), 1);
+        to.equipment.push(eqId);
+        logEntry('transfer', { eqId, fromId: from.id, toId: to.id });
+      }
+    }
+    // Plaga can't be refused, so it may leave the rival over their slots
+    for (const p of fighters) {
+      if (p.equipment.length > p.equipmentSlots) {
+        state.game.pendingNotifications.push(
+          `${p.name} tiene ${p.equipment.length}/${p.equipmentSlots} equipamientos: debe vender o descartar hasta tener espacio.`);
+      }
+    }
+  }
+
   function handlePostDuel(winnerId) {
-    if (state.duel.matchId) recordMatchResult(state.duel.matchId, winnerId);
+    const match = state.duel.matchId ? findMatch(state.duel.matchId) : null;
+    if (match) recordSeriesGame(match, winnerId);
+  }
+
+  /** Series wins per player of a tournament match */
+  function seriesWins(match) {
+    const wins = {};
+    for (const g of match.games || []) wins[g.winnerId] = (wins[g.winnerId] || 0) + 1;
+    return wins;
+  }
+
+  /** Store the duel on its match; the match is decided once a player has won a majority of the series */
+  function recordSeriesGame(match, winnerId) {
+    const d = state.duel;
+    match.games = match.games || [];
+    match.games.push({ scores: { [d.player1Id]: d.score1, [d.player2Id]: d.score2 }, winnerId });
+    const wins = seriesWins(match);
+    if (wins[winnerId] > state.tournament.bestOf / 2) {
+      recordMatchResult(match.id, winnerId);
+      return;
+    }
+    saveState();
+    showModal(`Juego ${match.games.length}`,
+      `${playerName(winnerId)} gana el juego. Serie ${wins[match.player1Id] || 0}–${wins[match.player2Id] || 0}.`, [
+        { label: 'Siguiente juego', primary: true, action: () => openDuel(match.id) },
+      ]);
+  }
+
+  // ─── COMBAT EQUIPMENT ─────────────────────────────────────
+
+  // Cards used in a duel (state.duel.plays) or a dungeon fight
+  // (state.monsterCombat.plays) cost their mana when played.
+
+  function combatPlays(context) {
+    return context === 'monster' ? state.monsterCombat.plays : state.duel.plays;
+  }
+
+  /** Whether `p` may still play `eqId`: a copy left in hand, enough mana, Armadura Rota respected */
+  function canPlayEquipment(p, eqId, context) {
+    const eq = getEquipment(eqId);
+    const own = combatPlays(context).filter(pl => pl.pid === p.id);
+    const owned = p.equipment.filter(id => id === eqId).length;
+    if (!eq || own.filter(pl => pl.eqId === eqId).length >= owned) return false;
+    if (eq.duel?.passive) return false;   // counts on its own, see computeDuel
+    if (context === 'monster' && eq.noDungeon) return false;
+    if (p.mana < eq.mana) return false;
+    if (own.some(pl => getEquipment(pl.eqId)?.duel?.alone)) return false;
+    return !(eq.duel?.alone && own.length > 0);
+  }
+
+  /** Take back a play: mana and Comodín dice are returned */
+  function undoPlay(play, context) {
+    const p = state.players.find(pl => pl.id === play.pid);
+    if (p && play.mana) {
+      p.mana = Math.min(p.maxMana, p.mana + play.mana);
+      logEntry('mana', { playerId: p.id, delta: play.mana, source: 'equipment' });
+    }
+    if (getEquipment(play.as ?? play.eqId)?.duel?.type === 'extraDie') {
+      state.combat.extraDice[play.pid] = Math.max(0, (state.combat.extraDice[play.pid] || 0) - 1);
+    }
+    const plays = combatPlays(context);
+    plays.splice(plays.indexOf(play), 1);
+  }
+
+  function removePlay(index, context) {
+    const play = combatPlays(context)[index];
+    if (!play) return;
+    checkpoint(`Retirar ${getEquipment(play.eqId)?.name ?? 'carta'}`);
+    undoPlay(play, context);
+    if (context === 'duel') updateDuelScores();
+    saveState();
+    renderAll();
+  }
+
+  /** Read-only mana tokens for the combat screens */
+  function renderManaTokens(p) {
+    return `<div class="mana-tokens combat-mana" title="Maná">
+      ${Array.from({ length: p.maxMana }, (_, i) => `<span class="mana-token ${i < p.mana ? 'filled' : ''}"></span>`).join('')}
+    </div>`;
+  }
+
+  /** Hand of a fighter; cards they can't play (used, unaffordable) are disabled */
+  function renderHandCards(p, context) {
+    const cards = [...new Set(p.equipment)].map(eqId => {
+      const eq = getEquipment(eqId);
+      if (!eq) return '';
+      return `<button class="combat-card" data-pid="${p.id}" data-eq="${eqId}" data-context="${context}" title="${escHtml(eq.text)}"
+        ${canPlayEquipment(p, eqId, context) ? '' : 'disabled'}>${escHtml(eq.name)} <span class="combat-card-mana">🔮${eq.mana}</span></button>`;
+    }).join('');
+    return `<div class="combat-hand">${cards || '<span class="passive-note">Sin equipamiento</span>'}</div>`;
+  }
+
+  /** Cards a combatant already used in the dungeon fight, with ✕ to take one back */
+  function renderUsedCards(pid) {
+    const plays = state.monsterCombat.plays;
+    return plays.map((play, i) => play.pid !== pid ? '' : `
+      <span class="item-chip">${escHtml(getEquipment(play.eqId)?.name ?? '?')}
+        <button class="combat-play-remove" data-context="monster" data-index="${i}" aria-label="Retirar">✕</button></span>`).join('');
+  }
+
+  // ─── DUEL CALCULATOR ──────────────────────────────────────
+
+  // Tracking mode: each fighter enters their dice and plays cards from their
+  // hand; state.duel.plays keeps the order, which several cards depend on.
+
+  const DICE_CHECKS = {
+    pair:    dice => dice.some((v, i) => dice.indexOf(v) !== i),
+    six:     dice => dice.includes(6),
+    allEven: dice => dice.length > 0 && dice.every(v => v % 2 === 0),
+    allSame: dice => dice.length > 1 && dice.every(v => v === dice[0]),
+  };
+
+  /**
+   * Scorers for the `duel` entries of EQUIPMENT, keyed by type: (spec, ctx) → points.
+   * ctx: pid/rivalId, player/rival, dice, running totals, plays, before/after this card.
+   */
+  const DUEL_EFFECTS = {
+    flat:            spec => spec.amount,
+    bestDie:         (spec, ctx) => Math.max(0, ...duelDice(spec.of, ctx)),
+    perDie:          (spec, ctx) => duelDice(spec.of, ctx)
+      .reduce((sum, v) => sum + (v % 2 === 1 ? spec.odd || 0 : spec.even || 0), 0),
+    diceCheck:       (spec, ctx) => DICE_CHECKS[spec.check](duelDice(spec.of || 'own', ctx)) ? spec.amount : 0,
+    perPlayedBefore: (spec, ctx) => ctx.before.filter(pl => spec.of === 'all' || pl.pid === ctx.pid).length,
+    perRivalPlayed:  (spec, ctx) => ctx.plays.filter(pl => pl.pid === ctx.rivalId).length,
+    perRivalAfter:   (spec, ctx) => ctx.after.filter(pl => pl.pid === ctx.rivalId).length,
+    richerRival:     (spec, ctx) => ctx.rival && ctx.rival.mana > ctx.player.mana ? spec.amount : 0,
+    diceChanged:     (spec, ctx) => ctx.diceChanged ? spec.amount : 0,
+    crown:           (spec, ctx) => ctx.totals[ctx.rivalId] > ctx.totals[ctx.pid]
+      ? ctx.totals[ctx.rivalId] + 1 - ctx.totals[ctx.pid] : 0,
+  };
+
+  function duelDice(of, ctx) {
+    if (of === 'own')   return ctx.dice[ctx.pid];
+    if (of === 'rival') return ctx.dice[ctx.rivalId];
+    return ctx.dice[ctx.pid].concat(ctx.dice[ctx.rivalId]);
+  }
+
+  /** Effect a play scores with: its own card, or the card it copied */
+  function playSpec(play) {
+    const spec = getEquipment(play.as ?? play.eqId)?.duel;
+    return spec && spec.type !== 'copy' ? spec : null;
+  }
+
+  /** Indexes of the plays cancelled by Escudo Mágico, Caña de Pescar and Armadura de Arturo */
+  function duelCancellations(plays, rivalOf) {
+    const cancelled = new Set();
+    const pending = {};   // pid → upcoming cards of theirs that are cancelled
+    plays.forEach((pl, i) => {
+      if (pending[pl.pid]) {
+        pending[pl.pid]--;
+        cancelled.add(i);
+        return;
+      }
+      const rivalId = rivalOf(pl.pid);
+      switch (playSpec(pl)?.type) {
+        case 'cancelNext':
+          pending[rivalId] = (pending[rivalId] || 0) + 1;
+          break;
+        case 'cancelOne': {
+          const last = plays.findLastIndex((other, j) => j < i && other.pid === rivalId && !cancelled.has(j));
+          if (last >= 0) cancelled.add(last);
+          else pending[rivalId] = (pending[rivalId] || 0) + 1;
+          break;
+        }
+        case 'cancelAll':
+          for (let j = 0; j < i; j++) cancelled.add(j);
+          for (const pid in pending) pending[pid] = 0;
+          break;
+      }
+    });
+    return cancelled;
+  }
+
+  /** Totals of the current duel and the points each play scored */
+  function computeDuel() {
+    const d = state.duel;
+    const ids = [d.player1Id, d.player2Id];
+    const rivalOf = pid => ids.find(id => id !== pid);
+    const dice = {}, totals = {};
+    for (const pid of ids) {
+      dice[pid] = (state.combat.dice[pid] || []).filter(v => v > 0);
+      totals[pid] = dice[pid].reduce((sum, v) => sum + v, 0) + (state.combat.modifiers[pid] || 0);
+    }
+
+    // Passive cards (Plaga) count for their holder before anything is played
+    const passiveLines = [];
+    for (const pid of ids) {
+      const player = state.players.find(p => p.id === pid);
+      for (const eqId of player ? player.equipment : []) {
+        const spec = getEquipment(eqId)?.duel;
+        if (!spec?.passive || !DUEL_EFFECTS[spec.type]) continue;
+        const points = DUEL_EFFECTS[spec.type](spec, { pid, rivalId: rivalOf(pid), player, dice, totals, plays: [], before: [], after: [] });
+        totals[pid] += points;
+        passiveLines.push({ play: { pid, eqId }, points, cancelled: false, passive: true });
+      }
+    }
+
+    const plays = d.plays.filter(pl => ids.includes(pl.pid));
+    const cancelled = duelCancellations(plays, rivalOf);
+    const diceChanged = plays.some((pl, i) => !cancelled.has(i) && ['dice', 'cancelAll'].includes(playSpec(pl)?.type))
+      || state.combat.rolls.some(r => r.label === 'Repite');
+
+    const lines = plays.map((play, i) => {
+      const line = { play, points: 0, cancelled: cancelled.has(i) };
+      const spec = playSpec(play);
+      const scorer = spec && DUEL_EFFECTS[spec.type];
+      if (line.cancelled || !scorer) return line;
+      const rivalId = rivalOf(play.pid);
+      line.points = scorer(spec, {
+        pid: play.pid, rivalId,
+        player: state.players.find(p => p.id === play.pid),
+        rival: state.players.find(p => p.id === rivalId),
+        dice, totals, plays,
+        before: plays.slice(0, i), after: plays.slice(i + 1),
+        diceChanged,
+      });
+      totals[play.pid] += line.points;
+      return line;
+    });
+
+    for (const pid of ids) totals[pid] = Math.max(0, totals[pid]);
+    return { totals, lines: [...passiveLines, ...lines] };
+  }
+
+  /** Copy the calculator totals into the scores of fighters that entered something */
+  function updateDuelScores() {
+    const d = state.duel;
+    const { totals } = computeDuel();
+    const used = pid => (state.combat.dice[pid] || []).some(v => v > 0) || d.plays.some(pl => pl.pid === pid);
+    if (used(d.player1Id)) d.score1 = totals[d.player1Id];
+    if (used(d.player2Id)) d.score2 = totals[d.player2Id];
+  }
+
+  function playEquipment(pid, eqId, context) {
+    const p = state.players.find(pl => pl.id === pid);
+    const eq = getEquipment(eqId);
+    if (!p || !eq || !canPlayEquipment(p, eqId, context)) return;
+    // Copies only change the calculator's math; the dungeon just tracks the card
+    const spec = context === 'duel' ? eq.duel || {} : {};
+
+    const commit = as => {
+      checkpoint(`${eq.name} de ${p.name}`);
+      const play = { pid, eqId, mana: eq.mana };
+      if (as !== undefined) play.as = as;
+      if (spec.type === 'copy' && spec.from === 'deck') {
+        // Pergamino Oscuro: a random card from the deck, back at the bottom
+        const drawn = drawEquipment();
+        if (drawn !== null) {
+          play.as = drawn;
+          state.game.equipmentDeck.unshift(drawn);
+        }
+      }
+      p.mana -= play.mana;
+      if (play.mana) logEntry('mana', { playerId: pid, delta: -play.mana, source: 'equipment' });
+      if (getEquipment(play.as ?? eqId)?.duel?.type === 'extraDie') {
+        state.combat.extraDice[pid] = (state.combat.extraDice[pid] || 0) + 1;
+      }
+      combatPlays(context).push(play);
+      if (context === 'duel') updateDuelScores();
+      saveState();
+      renderAll();
+    };
+
+    if (spec.type !== 'copy' || spec.from === 'deck') return commit();
+
+    const rivalId = [state.duel.player1Id, state.duel.player2Id].find(id => id !== pid);
+    const pool = spec.from === 'played'
+      ? state.duel.plays.map(pl => pl.as ?? pl.eqId)
+      : state.players.find(pl => pl.id === rivalId)?.equipment || [];
+    const choices = [...new Set(pool)].filter(id => getEquipment(id)?.duel?.type !== 'copy');
+    if (choices.length === 0) {
+      showModal(eq.name, 'No hay ninguna carta que copiar.', [{ label: 'OK', primary: true }]);
+      return;
+    }
+    showModal(eq.name, spec.from === 'played' ? '¿Qué carta en juego copia?' : '¿Qué carta toma del rival?', [
+      ...choices.map(id => ({ label: getEquipment(id).name, primary: true, action: () => commit(id) })),
+      { label: 'Cancelar', primary: false },
+    ]);
+  }
+
+  function clearDuelPlays() {
+    for (const play of [...state.duel.plays].reverse()) undoPlay(play, 'duel');
+    state.combat.dice = {};
+  }
+
+  function setDuelDie(pid, idx, value) {
+    checkpoint('Dados del duelo', true);
+    const dice = state.combat.dice[pid] = state.combat.dice[pid] || [];
+    dice[idx] = Math.min(6, Math.max(0, value));
+    for (let i = 0; i < dice.length; i++) dice[i] = dice[i] || 0;
+    updateDuelScores();
+    saveState();
+    renderAll();
+  }
+
+  /** Dice entry (physical dice) and the cards a fighter can play */
+  function renderDuelHand(p) {
+    const dice = state.combat.dice[p.id] || [];
+    const diceInputs = state.options.digitalDice ? '' : `
+      <div class="duel-dice">
+        ${Array.from({ length: diceCount(p.id, 'duel') }, (_, i) => `
+          <input type="number" min="1" max="6" class="duel-die" data-pid="${p.id}" data-idx="${i}"
+            value="${dice[i] || ''}" aria-label="Dado ${i + 1}" />`).join('')}
+      </div>`;
+    return `${diceInputs}${renderManaTokens(p)}${renderHandCards(p, 'duel')}`;
+  }
+
+  /** Cards played so far, in order, with what each one scored */
+  function renderDuelPlays() {
+    const el = document.getElementById('duel-plays');
+    const lines = state.options.fullTracking ? computeDuel().lines : [];
+    if (lines.length === 0) {
+      el.style.display = 'none';
+      return;
+    }
+    el.style.display = 'block';
+    document.getElementById('duel-plays-list').innerHTML = lines.map(({ play, points, cancelled, passive }) => {
+      const eq = getEquipment(play.eqId);
+      const copied = play.as !== undefined ? ` → ${escHtml(getEquipment(play.as)?.name ?? '?')}` : '';
+      const scored = playSpec(play) && DUEL_EFFECTS[playSpec(play).type];
+      const result = cancelled ? 'anulada' : scored ? `${points > 0 ? '+' : ''}${points}` : 'mesa';
+      const remove = passive
+        ? '<span class="duel-play-passive">pasiva</span>'
+        : `<button class="combat-play-remove" data-context="duel" data-index="${state.duel.plays.indexOf(play)}" aria-label="Retirar">✕</button>`;
+      return `
+        <li class="duel-play${cancelled ? ' cancelled' : ''}">
+          <span>${escHtml(playerName(play.pid))}: ${escHtml(eq?.name ?? '?')}${copied}</span>
+          <span class="duel-play-points">${result}</span>
+          ${remove}
+        </li>`;
+    }).join('');
   }
 
   // ─── TOURNAMENT ───────────────────────────────────────────
@@ -887,49 +4159,218 @@
   function renderTournamentPre() {
     document.getElementById('gold-conversion-table').style.display =
       state.options.fullTracking ? 'block' : 'none';
-
+    if (state.options.fullTracking) renderGoldConversion();
+
+    const format = document.getElementById('tournament-format');
+    format.innerHTML = Object.entries(TOURNAMENT_FORMATS)
+      .map(([id, label]) => `<option value="${id}" ${state.tournament.format === id ? 'selected' : ''}>${label}</option>`).join('');
+    document.getElementById('tournament-best-of').value = String(state.tournament.bestOf);
+    document.getElementById('tournament-tiebreak').value = state.tournament.tiebreak;
+
+    const seeding = document.getElementById('tournament-seeding');
+    seeding.innerHTML = Object.entries(SEEDING_STRATEGIES)
+      .map(([id, st]) => `<option value="${id}" ${state.tournament.seeding === id ? 'selected' : ''}>${st.label}</option>`).join('');
+
+    const strategy = SEEDING_STRATEGIES[state.tournament.seeding] || SEEDING_STRATEGIES.random;
+    const manual = state.tournament.seeding === 'manual';
+    const { stats } = chronicleStats();
+    const order = strategy.metric ? rankBy(strategy, state.tournament.seeds.map(s => s.playerId)) : state.tournament.seeds.map(s => s.playerId);
     const list = document.getElementById('seed-rolls-list');
     list.innerHTML = '';
-    for (const seed of state.tournament.seeds) {
-      const p = state.players.find(pl => pl.id === seed.playerId);
-      if (!p) continue;
+    order.forEach((pid, i) => {
+      const p = state.players.find(pl => pl.id === pid);
+      if (!p) return;
       const char = getChar(p.characterId);
       const item = document.createElement('div');
       item.className = 'seed-roll-item';
-      item.innerHTML = `<span>${char?.emoji ?? ''} ${escHtml(p.name)}</span>`;
+      item.innerHTML = `
+        ${strategy.metric || manual ? `<span class="seed-rank-badge">${i + 1}</span>` : ''}
+        <span class="seed-name">${char?.emoji ?? ''} ${escHtml(p.name)}</span>
+        ${strategy.show ? `<span class="seed-metric">${strategy.show(p, stats[pid])}</span>` : ''}
+        ${manual ? `<span class="seed-move">
+          <button class="btn btn-ghost btn-sm" data-move="-1" data-index="${i}" ${i === 0 ? 'disabled' : ''} aria-label="Subir">▲</button>
+          <button class="btn btn-ghost btn-sm" data-move="1" data-index="${i}" ${i === order.length - 1 ? 'disabled' : ''} aria-label="Bajar">▼</button>
+        </span>` : ''}`;
+      if (manual) {
+        item.draggable = true;
+        item.dataset.index = i;
+        item.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', String(i)));
+        item.addEventListener('dragover', e => e.preventDefault());
+        item.addEventListener('drop', e => {
+          e.preventDefault();
+          moveSeed(parseInt(e.dataTransfer.getData('text/plain')), i);
+        });
+      }
       list.appendChild(item);
+    });
+    list.querySelectorAll('[data-move]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const from = parseInt(btn.dataset.index);
+        moveSeed(from, from + parseInt(btn.dataset.move));
+      });
+    });
+  }
+
+  /** Manual seeding: the order of `tournament.seeds` is the ranking */
+  function moveSeed(from, to) {
+    const seeds = state.tournament.seeds;
+    if (from === to || !seeds[from] || !seeds[to]) return;
+    checkpoint('Orden del torneo');
+    seeds.splice(to, 0, ...seeds.splice(from, 1));
+    saveState();
+    renderTournamentPre();
+  }
+
+  /** Spend-what-you-have table: each player can convert gold before the bracket */
+  function renderGoldConversion() {
+    document.getElementById('conversion-rates').innerHTML = GOLD_CONVERSIONS
+      .map(c => `<tr><td>${c.cost} oro</td><td>${c.label}</td></tr>`).join('');
+
+    const list = document.getElementById('conversion-players');
+    list.innerHTML = state.players.map(p => {
+      const char = getChar(p.characterId);
+      return `
+        <div class="conversion-player">
+          <div class="conversion-player-head">
+            <span>${char?.emoji ?? ''} ${escHtml(p.name)}</span>
+            <span class="conversion-player-stats">💰 ${p.gold} · 🗡️ ${p.equipment.length}/${p.equipmentSlots} · 🔮 ${p.maxMana}</span>
+          </div>
+          <div class="conversion-actions">
+            ${GOLD_CONVERSIONS.map(c => `
+              <button class="btn btn-secondary btn-sm conversion-btn" data-pid="${p.id}" data-conversion="${c.id}"
+                ${p.gold < c.cost ? 'disabled' : ''}>${c.label} (${c.cost})</button>`).join('')}
+          </div>
+        </div>`;
+    }).join('');
+
+    list.querySelectorAll('.conversion-btn').forEach(btn => {
+      btn.addEventListener('click', () => convertGold(parseInt(btn.dataset.pid), btn.dataset.conversion));
+    });
+  }
+
+  function convertGold(pid, conversionId) {
+    const p = state.players.find(pl => pl.id === pid);
+    const conv = GOLD_CONVERSIONS.find(c => c.id === conversionId);
+    if (!p || !conv || p.gold < conv.cost) return;
+    if (conv.id === 'equipment') {
+      if (!checkEquipmentRoom(p)) return;
+      if (copiesLeft(null) === 0) {
+        showModal('Mazo agotado', 'No quedan cartas de equipamiento.', [{ label: 'OK', primary: true }]);
+        return;
+      }
+    }
+
+    checkpoint(`${conv.label} para ${p.name}`);
+    p.gold -= conv.cost;
+    logEntry('gold', { playerId: pid, delta: -conv.cost, source: 'conversion' });
+    switch (conv.id) {
+      case 'equipment':
+        p.equipment.push(drawEquipment());
+        break;
+      case 'slot':
+        p.equipmentSlots++;
+        break;
+      case 'maxMana':
+        p.maxMana++;
+        p.mana++;
+        logEntry('mana', { playerId: pid, delta: 1, max: true, source: 'conversion' });
+        break;
     }
+    saveState();
+    renderTournamentPre();
+  }
+
+  /** Short labels for the tournament formats offered in the pre phase */
+  const TOURNAMENT_FORMATS = {
+    single:     'Eliminación directa',
+    double:     'Doble eliminación',
+    roundRobin: 'Todos contra todos',
+    swiss:      'Sistema suizo',
+  };
+
+  /**
+   * Ways to rank the players before the bracket. metric(p, stats) sorts the
+   * best first (stats from chronicleStats); show(p, stats) labels each seed.
+   */
+  const SEEDING_STRATEGIES = {
+    random:   { label: 'Aleatorio' },
+    gold:     { label: 'Oro final', metric: p => goldBeforeConversions(p), show: p => `💰 ${goldBeforeConversions(p)}` },
+    monsters: { label: 'Monstruos derrotados', metric: (p, st) => st.monstersDefeated, show: (p, st) => `👹 ${st.monstersDefeated}` },
+    duels:    { label: 'Récord de duelos', metric: (p, st) => st.duelsWon - st.duelsLost, show: (p, st) => `⚔️ ${st.duelsWon}–${st.duelsLost}` },
+    manual:   { label: 'Manual' },
+  };
+
+  /** Gold at the end of the game: what conversions in the pre phase spent is added back */
+  function goldBeforeConversions(p) {
+    return state.log
+      .filter(e => e.type === 'gold' && e.playerId === p.id && e.source === 'conversion')
+      .reduce((gold, e) => gold - e.delta, p.gold);
+  }
+
+  /** Player ids sorted by a strategy's metric, best first; ties keep the given order */
+  function rankBy(strategy, ids) {
+    const { stats } = chronicleStats();
+    const value = pid => strategy.metric(state.players.find(p => p.id === pid), stats[pid]);
+    return ids.slice().sort((a, b) => value(b) - value(a));
+  }
+
+  /**
+   * Seed order for the bracket. Ties under a metric keep the order of
+   * `tournament.seeds`, shuffled once when the tournament begins, so the
+   * preview and the bracket agree.
+   */
+  function seedingOrder() {
+    const t = state.tournament;
+    const ids = t.seeds.map(s => s.playerId);
+    if (t.seeding === 'manual') return ids;
+    const strategy = SEEDING_STRATEGIES[t.seeding];
+    return strategy?.metric ? rankBy(strategy, ids) : shuffle(ids);
   }
 
   function startTournament() {
+    checkpoint('Generar bracket');
     const t = state.tournament;
-    const order = shuffle(t.seeds.map((_, i) => i));
-    order.forEach((origIdx, rank) => { t.seeds[origIdx].seedRank = rank + 1; });
+    seedingOrder().forEach((pid, rank) => { t.seeds.find(s => s.playerId === pid).seedRank = rank + 1; });
 
     const sorted = t.seeds.slice().sort((a, b) => a.seedRank - b.seedRank);
     const seeds = sorted.map(s => s.playerId);
-    const n = state.players.length;
 
-    switch (n) {
-      case 3: t.rounds = buildBracket3p(seeds); break;
-      case 4: t.rounds = buildBracket4p(seeds); break;
-      case 5: t.rounds = buildBracket5p(seeds); break;
-      case 6: t.rounds = buildBracket6p(seeds); break;
-      default: t.rounds = buildBracket4p(seeds.slice(0, 4)); break;
+    switch (t.format) {
+      case 'double':     t.rounds = buildDoubleElimination(seeds); break;
+      case 'roundRobin': t.rounds = buildRoundRobin(seeds); break;
+      case 'swiss':      t.rounds = [buildSwissRound(1)]; break;
+      default:           t.rounds = buildSingleElimination(seeds); break;
     }
+    t.rounds.flatMap(r => r.matches).forEach(updateAdvantage);
+    resolveByes();
 
     t.phase = 'bracket';
     saveState();
     renderTournament();
   }
 
+  function newMatch(id, player1Id, player2Id, feedsFrom) {
+    return { id, player1Id, player2Id, advantagePlayerId: null, winnerId: null, feedsFrom: feedsFrom || [null, null] };
+  }
+
+  /** Rulebook trees for 3–6 players; any other count gets a seeded bracket with byes */
+  function buildSingleElimination(seeds) {
+    switch (seeds.length) {
+      case 3: return buildBracket3p(seeds);
+      case 4: return buildBracket4p(seeds);
+      case 5: return buildBracket5p(seeds);
+      case 6: return buildBracket6p(seeds);
+      default: return buildSeededBracket(seeds, '').rounds;
+    }
+  }
+
   function buildBracket3p(s) {
     return [
       { name: 'Semifinal', matches: [
         { id: 'sf1', player1Id: s[1], player2Id: s[2], advantagePlayerId: s[1], winnerId: null, feedsFrom: [null, null] },
       ]},
       { name: 'Final', matches: [
-        { id: 'final', player1Id: s[0], player2Id: null, advantagePlayerId: s[0], winnerId: null, feedsFrom: [null, { matchId: 'sf1', slot: 2 }] },
+        { id: 'final', player1Id: s[0], player2Id: null, advantagePlayerId: s[0], winnerId: null, feedsFrom: [null, { matchId: 'sf1' }] },
       ]},
     ];
   }
@@ -941,7 +4382,7 @@
         { id: 'sf2', player1Id: s[1], player2Id: s[2], advantagePlayerId: s[1], winnerId: null, feedsFrom: [null, null] },
       ]},
       { name: 'Final', matches: [
-        { id: 'final', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'sf1', slot: 1 }, { matchId: 'sf2', slot: 1 }] },
+        { id: 'final', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'sf1' }, { matchId: 'sf2' }] },
       ]},
     ];
   }
@@ -949,14 +4390,14 @@
   function buildBracket5p(s) {
     return [
       { name: 'Cuartos', matches: [
-        { id: 'qf1', player1Id: s[3], player2Id: s[4], advantagePlayerId: s[3], winnerId: null, feedsFrom: [null, null] },
+        { id: 'qf1', player1Id: s[1], player2Id: s[2], advantagePlayerId: s[1], winnerId: null, feedsFrom: [null, null] },
+        { id: 'qf2', player1Id: s[3], player2Id: s[4], advantagePlayerId: s[3], winnerId: null, feedsFrom: [null, null] },
       ]},
       { name: 'Semifinal', matches: [
-        { id: 'sf1', player1Id: s[1], player2Id: null, advantagePlayerId: s[1], winnerId: null, feedsFrom: [null, { matchId: 'qf1', slot: 1 }] },
-        { id: 'sf2', player1Id: s[2], player2Id: null, advantagePlayerId: s[2], winnerId: null, feedsFrom: [null, { matchId: 'qf1', slot: 1 }] },
+        { id: 'sf1', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'qf1' }, { matchId: 'qf2' }] },
       ]},
       { name: 'Final', matches: [
-        { id: 'final', player1Id: s[0], player2Id: null, advantagePlayerId: s[0], winnerId: null, feedsFrom: [null, { matchId: 'sf1', slot: 1 }] },
+        { id: 'final', player1Id: s[0], player2Id: null, advantagePlayerId: s[0], winnerId: null, feedsFrom: [null, { matchId: 'sf1' }] },
       ]},
     ];
   }
@@ -969,14 +4410,192 @@
         { id: 'qf3', player1Id: s[4], player2Id: s[5], advantagePlayerId: s[4], winnerId: null, feedsFrom: [null, null] },
       ]},
       { name: 'Semifinal', matches: [
-        { id: 'sf1', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'qf2', slot: 1 }, { matchId: 'qf3', slot: 1 }] },
+        { id: 'sf1', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'qf2' }, { matchId: 'qf3' }] },
       ]},
       { name: 'Final', matches: [
-        { id: 'final', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'qf1', slot: 1 }, { matchId: 'sf1', slot: 1 }] },
+        { id: 'final', player1Id: null, player2Id: null, advantagePlayerId: null, winnerId: null, feedsFrom: [{ matchId: 'qf1' }, { matchId: 'sf1' }] },
       ]},
     ];
   }
 
+  /** Seed positions of a bracket of `size` (a power of 2): 1 v size, 2 v size-1, … spread apart */
+  function bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const n = order.length * 2;
+      order = order.flatMap(seed => [seed, n + 1 - seed]);
+    }
+    return order;
+  }
+
+  function eliminationRoundName(matchCount) {
+    return { 1: 'Final', 2: 'Semifinal', 4: 'Cuartos', 8: 'Octavos' }[matchCount] || `${matchCount * 2}avos`;
+  }
+
+  /**
+   * Seeded single-elimination tree padded with byes for the top seeds.
+   * Match ids start with `prefix`; the last match is `${prefix}final`.
+   */
+  function buildSeededBracket(seeds, prefix) {
+    const size = Math.max(2, 2 ** Math.ceil(Math.log2(seeds.length)));
+    const slots = bracketOrder(size).map(seed => seeds[seed - 1] ?? null);
+    const rounds = [];
+    let prev = null;
+    for (let count = size / 2, r = 1; count >= 1; count /= 2, r++) {
+      const matches = [];
+      for (let i = 0; i < count; i++) {
+        const id = count === 1 ? `${prefix}final` : `${prefix}r${r}m${i + 1}`;
+        matches.push(prev
+          ? newMatch(id, null, null, [{ matchId: prev[i * 2].id }, { matchId: prev[i * 2 + 1].id }])
+          : newMatch(id, slots[i * 2], slots[i * 2 + 1]));
+      }
+      rounds.push({ name: eliminationRoundName(count), matches });
+      prev = matches;
+    }
+    return { rounds, size };
+  }
+
+  /**
+   * Winners' bracket, losers' bracket fed by `loser` links, then a grand final
+   * and a reset match ('final') that is only played if the losers' side wins.
+   */
+  function buildDoubleElimination(seeds) {
+    const { rounds: upper, size } = buildSeededBracket(seeds, 'w');
+    const rounds = upper.map(r => ({ ...r, name: `Ganadores: ${r.name}` }));
+    const lower = [];
+    const add = matches => lower.push({ name: `Perdedores: Ronda ${lower.length + 1}`, matches });
+    const loserOf = m => ({ matchId: m.id, loser: true });
+    const winnerOf = m => ({ matchId: m.id });
+    const lbId = () => `l${lower.length + 1}m`;
+
+    // Round 1 losers meet each other, then each winners' round drops its losers in
+    let prev = null;
+    if (size >= 4) {
+      const first = upper[0].matches;
+      const id = lbId();
+      prev = Array.from({ length: first.length / 2 }, (_, i) =>
+        newMatch(`${id}${i + 1}`, null, null, [loserOf(first[i * 2]), loserOf(first[i * 2 + 1])]));
+      add(prev);
+      for (let r = 1; r < upper.length; r++) {
+        const dropped = upper[r].matches.slice().reverse();
+        const dropId = lbId();
+        prev = prev.map((m, i) => newMatch(`${dropId}${i + 1}`, null, null, [winnerOf(m), loserOf(dropped[i])]));
+        add(prev);
+        if (prev.length > 1) {
+          const pairId = lbId();
+          prev = Array.from({ length: prev.length / 2 }, (_, i) =>
+            newMatch(`${pairId}${i + 1}`, null, null, [winnerOf(prev[i * 2]), winnerOf(prev[i * 2 + 1])]));
+          add(prev);
+        }
+      }
+    }
+
+    const upperFinal = upper[upper.length - 1].matches[0];
+    const grandFinal = newMatch('gf', null, null, [winnerOf(upperFinal), prev ? winnerOf(prev[0]) : loserOf(upperFinal)]);
+    const reset = newMatch('final', null, null, [winnerOf(grandFinal), loserOf(grandFinal)]);
+    reset.resetOf = 'gf';
+    return [
+      ...rounds, ...lower,
+      { name: 'Gran Final', matches: [grandFinal] },
+      { name: 'Final (desempate)', matches: [reset] },
+    ];
+  }
+
+  /** Everyone plays everyone once, paired round by round with the circle method */
+  function buildRoundRobin(seeds) {
+    const ring = seeds.length % 2 ? [...seeds, null] : seeds.slice();
+    const rounds = [];
+    for (let r = 0; r < ring.length - 1; r++) {
+      const matches = [];
+      for (let i = 0; i < ring.length / 2; i++) {
+        const a = ring[i], b = ring[ring.length - 1 - i];
+        if (a !== null && b !== null) matches.push(newMatch(`rr${r + 1}m${matches.length + 1}`, a, b));
+      }
+      rounds.push({ name: `Jornada ${r + 1}`, matches });
+      ring.splice(1, 0, ring.pop());
+    }
+    return rounds;
+  }
+
+  function swissRoundCount() {
+    return Math.max(1, Math.ceil(Math.log2(state.players.length)));
+  }
+
+  /**
+   * Next Swiss round: players sorted by standing meet the closest one they
+   * haven't faced; with an odd count the lowest without a bye sits out and wins.
+   */
+  function buildSwissRound(number) {
+    const standings = tournamentStandings();
+    const played = matches => new Set(matches.flatMap(m => [`${m.player1Id}-${m.player2Id}`, `${m.player2Id}-${m.player1Id}`]));
+    const faced = played(state.tournament.rounds.flatMap(r => r.matches));
+    const pool = standings.map(row => row.playerId);
+    const matches = [];
+    const id = () => `sw${number}m${matches.length + 1}`;
+
+    // Pairs in standings order with no rematch, found by backtracking; null if there are none
+    const pairUp = players => {
+      if (players.length === 0) return [];
+      const [a, ...rest] = players;
+      for (let j = 0; j < rest.length; j++) {
+        if (faced.has(`${a}-${rest[j]}`)) continue;
+        const tail = pairUp(rest.filter((_, k) => k !== j));
+        if (tail) return [[a, rest[j]], ...tail];
+      }
+      return null;
+    };
+    // Only when every pairing repeats a match: next in standings
+    const greedy = players => {
+      const pairs = [];
+      for (let i = 0; i < players.length; i += 2) pairs.push([players[i], players[i + 1]]);
+      return pairs;
+    };
+
+    // The bye goes to the lowest-ranked player without one that still leaves a rematch-free pairing
+    let byePid = null;
+    let pairs = null;
+    if (pool.length % 2) {
+      const hadBye = new Set(state.tournament.rounds.flatMap(r => r.matches).filter(m => m.bye).map(m => m.winnerId));
+      const reversed = pool.slice().reverse();
+      const candidates = [...reversed.filter(pid => !hadBye.has(pid)), ...reversed.filter(pid => hadBye.has(pid))];
+      for (const pid of candidates) {
+        pairs = pairUp(pool.filter(p => p !== pid));
+        if (pairs) { byePid = pid; break; }
+      }
+      if (!pairs) {
+        byePid = candidates[0];
+        pairs = greedy(pool.filter(p => p !== byePid));
+      }
+      matches.push({ ...newMatch(id(), byePid, null), winnerId: byePid, bye: true });
+    } else {
+      pairs = pairUp(pool) || greedy(pool);
+    }
+    for (const [a, b] of pairs) matches.push(newMatch(id(), a, b));
+    return { name: `Ronda ${number}`, matches };
+  }
+
+  /** Wins per player (and Buchholz: their opponents' wins), best first; seed breaks ties */
+  function tournamentStandings() {
+    const t = state.tournament;
+    const matches = t.rounds.flatMap(r => r.matches);
+    const rows = t.seeds.slice().sort((a, b) => a.seedRank - b.seedRank).map(seed => ({
+      playerId: seed.playerId, seedRank: seed.seedRank, wins: 0, played: 0, buchholz: 0, opponents: [],
+    }));
+    const row = pid => rows.find(r => r.playerId === pid);
+    for (const m of matches) {
+      if (m.winnerId == null) continue;
+      if (row(m.winnerId)) row(m.winnerId).wins++;
+      if (m.bye) continue;
+      for (const [a, b] of [[m.player1Id, m.player2Id], [m.player2Id, m.player1Id]]) {
+        if (!row(a)) continue;
+        row(a).played++;
+        row(a).opponents.push(b);
+      }
+    }
+    for (const r of rows) r.buchholz = r.opponents.reduce((sum, pid) => sum + (row(pid)?.wins ?? 0), 0);
+    return rows.sort((a, b) => b.wins - a.wins || b.buchholz - a.buchholz || a.seedRank - b.seedRank);
+  }
+
   function findMatch(matchId) {
     for (const r of state.tournament.rounds) {
       for (const m of r.matches) { if (m.id === matchId) return m; }
@@ -984,47 +4603,122 @@
     return null;
   }
 
-  function propagateWinner(matchId, winnerId) {
+  function matchDone(m) {
+    return m.winnerId != null || !!m.bye;
+  }
+
+  function matchLoser(m) {
+    if (m.winnerId == null) return null;
+    return m.winnerId === m.player1Id ? m.player2Id : m.player1Id;
+  }
+
+  /** The better seed of a match has the advantage (wins ties, the rival acts first) */
+  function updateAdvantage(m) {
+    if (m.player1Id == null || m.player2Id == null) return;
+    const rank = pid => state.tournament.seeds.find(s => s.playerId === pid)?.seedRank ?? Infinity;
+    m.advantagePlayerId = rank(m.player1Id) <= rank(m.player2Id) ? m.player1Id : m.player2Id;
+  }
+
+  /** Fill the slots fed by a finished match with its winner or loser */
+  function propagateResult(match) {
     for (const r of state.tournament.rounds) {
       for (const m of r.matches) {
-        for (let slot = 0; slot < 2; slot++) {
-          const f = m.feedsFrom[slot];
-          if (f && f.matchId === matchId) {
-            if (slot === 0) m.player1Id = winnerId;
-            else            m.player2Id = winnerId;
-          }
+        m.feedsFrom.forEach((f, slot) => {
+          if (!f || f.matchId !== match.id) return;
+          const pid = f.loser ? matchLoser(match) : match.winnerId;
+          if (slot === 0) m.player1Id = pid;
+          else            m.player2Id = pid;
+          updateAdvantage(m);
+        });
+      }
+    }
+  }
+
+  /**
+   * Settle matches nobody has to play: a player facing an empty slot (a bye,
+   * or the loser of a bye) advances, and the reset final is skipped when the
+   * winners' bracket champion takes the grand final.
+   */
+  function resolveByes() {
+    const matches = state.tournament.rounds.flatMap(r => r.matches);
+    const empty = (m, slot) => {
+      if ((slot === 0 ? m.player1Id : m.player2Id) != null) return false;
+      const f = m.feedsFrom[slot];
+      return !f || matchDone(findMatch(f.matchId));
+    };
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const m of matches) {
+        if (matchDone(m)) continue;
+        const source = m.resetOf && findMatch(m.resetOf);
+        if (source && matchDone(source) && source.winnerId === source.player1Id) {
+          m.winnerId = source.winnerId;
+          m.bye = true;
+        } else if (empty(m, 0) || empty(m, 1)) {
+          if (!empty(m, 0) && m.player1Id == null) continue;
+          if (!empty(m, 1) && m.player2Id == null) continue;
+          m.winnerId = m.player1Id ?? m.player2Id;
+          m.bye = true;
+        } else {
+          continue;
         }
+        propagateResult(m);
+        changed = true;
       }
     }
   }
 
   function recordMatchResult(matchId, winnerId) {
     const match = findMatch(matchId);
-    if (match) match.winnerId = winnerId;
+    if (match) {
+      match.winnerId = winnerId;
+      propagateResult(match);
+      resolveByes();
+    }
 
-    if (matchId === 'final') {
-      state.tournament.championId = winnerId;
+    const championId = settleTournament();
+    if (championId != null) {
+      state.tournament.championId = championId;
       state.tournament.phase = 'champion';
-      saveState();
-      navigateTo('tournament');
-      return;
+      recordGameResult();
     }
-
-    propagateWinner(matchId, winnerId);
     saveState();
     navigateTo('tournament');
   }
 
+  /** The champion once the format is decided; Swiss adds its next round meanwhile */
+  function settleTournament() {
+    const t = state.tournament;
+    const matches = t.rounds.flatMap(r => r.matches);
+    if (t.format === 'roundRobin' || t.format === 'swiss') {
+      if (!matches.every(matchDone)) return null;
+      if (t.format === 'swiss' && t.rounds.length < swissRoundCount()) {
+        const round = buildSwissRound(t.rounds.length + 1);
+        round.matches.forEach(updateAdvantage);
+        t.rounds.push(round);
+        return null;
+      }
+      return tournamentStandings()[0]?.playerId ?? null;
+    }
+    const final = findMatch('final');
+    return final && matchDone(final) ? final.winnerId : null;
+  }
+
   function renderBracket() {
     const container = document.getElementById('bracket-rounds');
     container.innerHTML = '';
+    renderStandings();
 
     for (const round of state.tournament.rounds) {
+      // Byes and skipped resets are settled without a duel
+      const matches = round.matches.filter(m => !m.bye);
+      if (matches.length === 0) continue;
       const roundEl = document.createElement('div');
       roundEl.className = 'bracket-round';
       roundEl.innerHTML = `<div class="bracket-round-name">${round.name}</div>`;
 
-      for (const match of round.matches) {
+      for (const match of matches) {
         const el = document.createElement('div');
         el.className = 'bracket-match';
 
@@ -1048,9 +4742,15 @@
           right = `<button class="btn btn-sm btn-primary match-btn" data-matchid="${match.id}">Pelear</button>`;
         }
 
+        const wins = seriesWins(match);
+        const games = (match.games || []).map(g => `${g.scores[match.player1Id] ?? '?'}-${g.scores[match.player2Id] ?? '?'}`).join(' · ');
+        const vs = state.tournament.bestOf > 1 && games
+          ? `<span class="match-vs match-series" title="${games}">${wins[match.player1Id] || 0}–${wins[match.player2Id] || 0}</span>`
+          : '<span class="match-vs">VS</span>';
+
         el.innerHTML = `
           <div class="match-slot">${s1}</div>
-          <span class="match-vs">VS</span>
+          ${vs}
           <div class="match-slot">${s2}</div>
           ${right}
         `;
@@ -1061,24 +4761,38 @@
 
     container.querySelectorAll('.match-btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        const match = findMatch(btn.dataset.matchid);
-        if (!match) return;
-        state.duel = {
-          player1Id: match.player1Id, player2Id: match.player2Id,
-          score1: 0, score2: 0, winnerId: null, matchId: match.id,
-        };
+        if (!findMatch(btn.dataset.matchid)) return;
         state.previousPhase = 'tournament';
-        saveState();
-        navigateTo('duel');
+        openDuel(btn.dataset.matchid);
       });
     });
   }
 
+  /** Wins table for round robin and Swiss */
+  function renderStandings() {
+    const table = document.getElementById('bracket-standings');
+    const format = state.tournament.format;
+    if (format !== 'roundRobin' && format !== 'swiss') {
+      table.style.display = 'none';
+      return;
+    }
+    table.style.display = '';
+    table.innerHTML = `
+      <thead><tr><th>#</th><th>Jugador</th><th>Victorias</th><th>Duelos</th>${format === 'swiss' ? '<th>Buchholz</th>' : ''}</tr></thead>
+      <tbody>${tournamentStandings().map((row, i) => {
+        const p = state.players.find(pl => pl.id === row.playerId);
+        const char = p ? getChar(p.characterId) : null;
+        return `<tr><td>${i + 1}</td><td>${char?.emoji ?? ''} ${escHtml(p?.name ?? '')}</td><td>${row.wins}</td><td>${row.played}</td>
+          ${format === 'swiss' ? `<td>${row.buchholz}</td>` : ''}</tr>`;
+      }).join('')}</tbody>`;
+  }
+
   function renderChampion() {
     const p = state.players.find(pl => pl.id === state.tournament.championId);
     const char = p ? getChar(p.characterId) : null;
     document.getElementById('champion-name').textContent = p ? p.name : '???';
     document.getElementById('champion-char').textContent = char ? `${char.emoji} ${char.class}` : '';
+    renderChronicle();
     spawnConfetti();
   }
 
@@ -1112,10 +4826,13 @@
     document.getElementById('opt-tracking').addEventListener('change', e => {
       state.options.fullTracking = e.target.checked; saveState();
     });
+    document.getElementById('opt-dice').addEventListener('change', e => {
+      state.options.digitalDice = e.target.checked; saveState();
+    });
 
     document.getElementById('btn-add-player').addEventListener('click', () => {
       if (state.players.length >= 6) return;
-      state.players.push({ id: state.players.length, name: '', characterId: '', gold: 0, mana: 4, maxMana: 4, equipment: [] });
+      state.players.push({ id: state.players.length, name: '', characterId: '', profileId: null, gold: 0, mana: 4, maxMana: 4, equipment: [] });
       saveState(); renderPlayerSlots(); updateStartButton();
     });
 
@@ -1126,6 +4843,10 @@
       }
     });
     document.getElementById('player-slots').addEventListener('change', e => {
+      if (e.target.classList.contains('player-name-input')) {
+        applyProfile(parseInt(e.target.dataset.idx));
+        saveState(); renderPlayerSlots(); updateStartButton();
+      }
       if (e.target.classList.contains('character-select')) {
         state.players[parseInt(e.target.dataset.idx)].characterId = e.target.value;
         saveState(); renderPlayerSlots(); updateStartButton();
@@ -1143,14 +4864,22 @@
     document.getElementById('btn-advance').addEventListener('click', advanceTime);
     document.getElementById('btn-fight-monster').addEventListener('click', openMonsterCombat);
     document.getElementById('btn-skip-monster').addEventListener('click', skipMonster);
-    document.getElementById('btn-monster-combat-back').addEventListener('click', () => navigateTo('game'));
+    document.getElementById('btn-monster-combat-back').addEventListener('click', () => {
+      endCombat(); navigateTo('game');
+    });
     document.getElementById('btn-end-combat').addEventListener('click', endMonsterCombat);
 
     document.getElementById('btn-duel-float').addEventListener('click', () => {
+      if (eventHas(currentEvent(), 'noDuels')) return;
       state.previousPhase = 'game'; saveState(); openDuel(null);
     });
     document.getElementById('btn-duel-back').addEventListener('click', () => {
-      navigateTo(state.previousPhase || 'game');
+      endCombat(); navigateTo(state.previousPhase || 'game');
+    });
+
+    document.getElementById('screen-duel').addEventListener('change', e => {
+      if (!e.target.classList.contains('duel-die')) return;
+      setDuelDie(parseInt(e.target.dataset.pid), parseInt(e.target.dataset.idx), parseInt(e.target.value) || 0);
     });
 
     document.getElementById('duel-select-1').addEventListener('change', e => {
@@ -1173,6 +4902,7 @@
     [1, 2].forEach(num => {
       const el = document.getElementById(`score-${num}`);
       el.addEventListener('input', () => {
+        checkpoint('Puntaje de duelo', true);
         const val = parseInt(el.textContent.replace(/[^\d]/g, '')) || 0;
         if (num === 1) state.duel.score1 = val; else state.duel.score2 = val;
         saveState();
@@ -1182,18 +4912,83 @@
 
     document.getElementById('btn-declare-winner').addEventListener('click', declareWinner);
     document.getElementById('btn-reset-duel').addEventListener('click', () => {
-      state.duel.score1 = 0; state.duel.score2 = 0; state.duel.winnerId = null; saveState();
-      document.getElementById('score-1').textContent = '0';
-      document.getElementById('score-2').textContent = '0';
-      document.getElementById('fighter-1').classList.remove('winner');
-      document.getElementById('fighter-2').classList.remove('winner');
+      resetDuel();
+      renderDuel();
     });
 
     document.getElementById('btn-start-tournament').addEventListener('click', startTournament);
+    document.getElementById('tournament-seeding').addEventListener('change', e => {
+      checkpoint('Orden del torneo');
+      state.tournament.seeding = e.target.value;
+      saveState();
+      renderTournamentPre();
+    });
+    document.getElementById('tournament-best-of').addEventListener('change', e => {
+      checkpoint('Formato del torneo');
+      state.tournament.bestOf = parseInt(e.target.value) || 1;
+      saveState();
+    });
+    document.getElementById('tournament-tiebreak').addEventListener('change', e => {
+      checkpoint('Formato del torneo');
+      state.tournament.tiebreak = e.target.value;
+      saveState();
+    });
+    document.getElementById('tournament-format').addEventListener('change', e => {
+      checkpoint('Formato del torneo');
+      state.tournament.format = e.target.value;
+      saveState();
+    });
 
-    document.getElementById('btn-new-game').addEventListener('click', () => {
-      try { localStorage.removeItem('tornaris_state'); } catch (_) {}
-      location.reload();
+    document.querySelectorAll('.btn-undo').forEach(b => b.addEventListener('click', undo));
+    document.querySelectorAll('.btn-redo').forEach(b => b.addEventListener('click', redo));
+    document.querySelectorAll('.btn-timeline').forEach(b => b.addEventListener('click', openTimeline));
+    document.getElementById('btn-game-log').addEventListener('click', openGameLog);
+    document.addEventListener('click', e => {
+      const btn = e.target.closest('.passive-btn');
+      if (btn) handlePassiveClick(btn);
+      const use = e.target.closest('.item-use');
+      if (use) useItem(parseInt(use.dataset.pid), use.dataset.item);
+      const dice = e.target.closest('[data-dice]');
+      if (dice) handleDiceClick(dice);
+      const card = e.target.closest('.combat-card');
+      if (card) playEquipment(parseInt(card.dataset.pid), parseInt(card.dataset.eq), card.dataset.context);
+      const remove = e.target.closest('.combat-play-remove');
+      if (remove) removePlay(parseInt(remove.dataset.index), remove.dataset.context);
+    });
+    document.addEventListener('change', e => {
+      if (e.target.classList.contains('dice-mod')) {
+        setDiceModifier(parseInt(e.target.dataset.pid), parseInt(e.target.value) || 0, e.target.dataset.context);
+      }
+    });
+    document.querySelectorAll('.btn-export').forEach(b => b.addEventListener('click', openExport));
+    document.getElementById('btn-import-file').addEventListener('click', () => {
+      document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', e => {
+      importFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    document.getElementById('btn-import-code').addEventListener('click', openImportCode);
+
+    document.getElementById('btn-new-game').addEventListener('click', newGame);
+    document.querySelectorAll('.btn-library').forEach(b => b.addEventListener('click', showLibrary));
+    document.getElementById('btn-library-new').addEventListener('click', newGame);
+    document.getElementById('btn-library-stats').addEventListener('click', showStats);
+    document.getElementById('btn-stats-back').addEventListener('click', showLibrary);
+    document.getElementById('btn-stats-csv').addEventListener('click', exportAnalyticsCsv);
+    document.getElementById('btn-sim-run').addEventListener('click', runSimulator);
+    document.getElementById('stats-profiles').addEventListener('change', e => handleProfileChange(e.target));
+    document.getElementById('stats-profiles').addEventListener('click', e => {
+      const btn = e.target.closest('.profile-delete');
+      if (btn) deleteProfile(btn.closest('.profile-row').dataset.id);
+    });
+    document.getElementById('btn-library-archived').addEventListener('click', () => {
+      showArchived = !showArchived;
+      renderLibrary();
+    });
+    document.getElementById('library-list').addEventListener('click', e => {
+      const btn = e.target.closest('[data-action]');
+      if (btn) handleLibraryAction(btn.dataset.action, btn.dataset.id);
     });
 
     document.getElementById('modal-overlay').addEventListener('click', e => {
@@ -1201,8 +4996,11 @@
         const actions = document.getElementById('modal-actions');
         if (actions.children.length === 1) {
           closeModal();
-          const queue = state.game.pendingNotifications;
-          if (queue && queue.length > 0) queue.shift();
+          const queue = state && state.game.pendingNotifications;
+          if (queue && queue.length > 0) {
+            checkpoint('Cerrar notificación', true);
+            queue.shift();
+          }
           saveState();
         }
       }
@@ -1212,17 +5010,15 @@
   // ─── INIT ─────────────────────────────────────────────────
 
   function init() {
-    initState();
-
-    if (state.phase === 'setup' && state.players.length < 3) {
-      state.players = [];
-      for (let i = 0; i < 3; i++) {
-        state.players.push({ id: i, name: '', characterId: '', gold: 0, mana: 4, maxMana: 4, equipment: [] });
-      }
-    }
-
+    loadLibrary();
+    loadProfiles();
+    migrateLegacySave();
     attachListeners();
-    renderAll();
+
+    // Pick up the game that was open last; otherwise start at the library
+    let lastId = null;
+    try { lastId = localStorage.getItem(CURRENT_KEY); } catch (_) {}
+    if (!(lastId && library.some(e => e.id === lastId) && openGame(lastId))) showLibrary();
   }
 
   document.addEventListener('DOMContentLoaded', init);
@@ -1,5 +1,9 @@
 // data.js — pure game data constants for Tornaris
 
+// Passive fields the app tracks: maxMana, equipmentSlots (default 6),
+// shopDiscount (gold off every shop purchase), goldOnSix (gold for rolling a 6),
+// rerollsPerCombat, borrowFromDiscard (temporary card for each combat).
+// startItems: objects from ITEMS granted at the start of the game.
 const CHARACTERS = [
   {
     id: 'celeste',
@@ -7,7 +11,7 @@ const CHARACTERS = [
     class: 'Druida',
     emoji: '🌿',
     passive: 'Empieza con 1 de maná adicional permanente.',
-    startItems: '2x Poción de Maná',
+    startItems: [{ itemId: 'pocion', count: 2 }],
     maxMana: 5,
   },
   {
@@ -16,8 +20,9 @@ const CHARACTERS = [
     class: 'Nigromante',
     emoji: '💀',
     passive: 'Al entrar a cualquier combate puede tomar 1 equipamiento aleatorio de la baraja de descarte (Si existe). Debe devolverlo al finalizar el combate.',
-    startItems: '2x Portal de Bolsillo',
+    startItems: [{ itemId: 'portal', count: 2 }],
     maxMana: 4,
+    borrowFromDiscard: true,
   },
   {
     id: 'remi',
@@ -25,8 +30,10 @@ const CHARACTERS = [
     class: 'Hombre Topo',
     emoji: '🦔',
     passive: 'Todas las compras en la tienda valen 2 monedas menos. Al sacar un 6 en cualquier lanzamiento de dado gana 3 de oro.',
-    startItems: '2x Cuervo Mensajero',
+    startItems: [{ itemId: 'cuervo', count: 2 }],
     maxMana: 4,
+    shopDiscount: 2,
+    goldOnSix: 3,
   },
   {
     id: 'baltazar',
@@ -34,8 +41,9 @@ const CHARACTERS = [
     class: 'Mago',
     emoji: '🔮',
     passive: 'Una vez por combate puede repetir uno de sus dados.',
-    startItems: '2x Cristal Vidente',
+    startItems: [{ itemId: 'cristal', count: 2 }],
     maxMana: 4,
+    rerollsPerCombat: 1,
   },
   {
     id: 'braulia',
@@ -43,8 +51,9 @@ const CHARACTERS = [
     class: 'Escudera',
     emoji: '🛡️',
     passive: 'Tiene 8 espacios de equipamiento en vez de 6.',
-    startItems: '2x Invocación de Familiar',
+    startItems: [{ itemId: 'familiar', count: 2 }],
     maxMana: 4,
+    equipmentSlots: 8,
   },
   {
     id: 'nyra',
@@ -52,12 +61,33 @@ const CHARACTERS = [
     class: 'Cazadora',
     emoji: '🏹',
     passive: 'Al ganar un combate contra un jugador le roba 7 de oro (Adicional si hay otro tipo de recompensa).',
-    startItems: '2x Guante del Duelo',
+    startItems: [{ itemId: 'guante', count: 2 }],
     maxMana: 4,
   },
 ];
 
+// Objetos: single-use cards that take no equipment slot and cost no mana.
+// where: 'board' (used from the player card) or 'dungeon' (from a dungeon fight).
+// use: what the app applies — refillMana, or extraDice { count } for the fight.
+// Objects without `use` are just spent; their effect happens on the table.
+const ITEMS = [
+  { id: 'familiar', name: 'Invocación de Familiar', emoji: '🐾', where: 'dungeon', use: { type: 'extraDice', count: 2 }, text: 'En mazmorra: lanza 2 dados adicionales ese combate.' },
+  { id: 'portal',   name: 'Portal de Bolsillo',     emoji: '🌀', where: 'board', text: 'Tras revelar flechas: cambia de casilla.' },
+  { id: 'cuervo',   name: 'Cuervo Mensajero',       emoji: '🐦', where: 'board', text: 'Tras revelar flechas: compra 1 equipamiento de tienda sin estar ahí (orden de turno).' },
+  { id: 'cristal',  name: 'Cristal Vidente',        emoji: '💎', where: 'board', text: 'Antes de revelar flechas: todos muestran sus flechas antes que tú.' },
+  { id: 'guante',   name: 'Guante del Duelo',       emoji: '🥊', where: 'board', text: 'En misma casilla que otro jugador: rétalo a duelo inmediato.' },
+  { id: 'pocion',   name: 'Poción de Maná',         emoji: '🧪', where: 'board', use: { type: 'refillMana' }, text: 'Fuera de combate: recupera todo tu maná.' },
+];
+
 // Tier: 'duende'(1-5), 'ogro'(6-10), 'golem'(11-15), 'dragon'(16-20)
+// rules: structured form of `ability`, evaluated live in monster combat by
+// MONSTER_RULES in app.js. Types without an effect there are shown as hints.
+// rewardPayout / penaltyPayout: structured `reward` / `penalty` settled on the
+// combatants in tracking mode. kind: 'gold' | 'equipment' | 'discard' |
+// 'maxMana' | 'rollGold' | 'ranked'; `who` picks other targets than the
+// combatants ('worst', 'absent', 'lowestWager').
+// onFail: what a failed fight does to the card — 'restore' (default: stays with
+// full HP), 'carry' (stays with the HP it had left) or 'discard'.
 const MONSTERS = [
   {
     id: 1,
@@ -67,8 +97,11 @@ const MONSTERS = [
     hp: '3x',
     minPlayers: 1,
     reward: '5 de oro',
+    rewardPayout: [{ kind: 'gold', amount: 5 }],
     ability: 'El primer combatiente lanza un dado, se suma esa cantidad a la vida del monstruo.',
+    rules: [{ type: 'hpRoll' }],
     penalty: '2 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 2 }],
   },
   {
     id: 2,
@@ -78,8 +111,11 @@ const MONSTERS = [
     hp: '4x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio',
+    rewardPayout: [{ kind: 'equipment', count: 1 }],
     ability: 'Todos los combatientes repiten su dado más alto una vez.',
+    rules: [{ type: 'rerollHighest' }],
     penalty: '3 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 3 }],
   },
   {
     id: 3,
@@ -89,8 +125,11 @@ const MONSTERS = [
     hp: '4x',
     minPlayers: 1,
     reward: '10 de oro',
+    rewardPayout: [{ kind: 'gold', amount: 10 }],
     ability: 'El monstruo gana el combate automáticamente si van TODOS los jugadores.',
+    rules: [{ type: 'autoWinIfAll' }],
     penalty: '4 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 4 }],
   },
   {
     id: 4,
@@ -100,8 +139,11 @@ const MONSTERS = [
     hp: '5x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio',
+    rewardPayout: [{ kind: 'equipment', count: 1 }],
     ability: 'Si la Sirena es derrotada, todos los jugadores que no participaron pierden 2 de oro.',
+    rules: [{ type: 'absentLoseGold', amount: 2 }],
     penalty: '3 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 3 }],
   },
   {
     id: 5,
@@ -111,8 +153,12 @@ const MONSTERS = [
     hp: '5x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio',
+    rewardPayout: [{ kind: 'equipment', count: 1 }],
     ability: 'Si el grupo falla en derrotarlo, el monstruo reaparece el siguiente turno con la misma vida.',
+    rules: [{ type: 'respawn' }],
+    onFail: 'carry',
     penalty: '2 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 2 }],
   },
   {
     id: 6,
@@ -122,8 +168,11 @@ const MONSTERS = [
     hp: '8x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio + 5 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 1 }, { kind: 'gold', amount: 5 }],
     ability: 'El combatiente con el dado más bajo no recibe recompensa.',
+    rules: [{ type: 'noRewardLowest' }],
     penalty: '4 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 4 }],
   },
   {
     id: 7,
@@ -133,8 +182,11 @@ const MONSTERS = [
     hp: '5x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio + 3 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 1 }, { kind: 'gold', amount: 3 }],
     ability: 'El jugador con el primer turno en el combate juega por el monstruo: lanza 2 dados por cada otro combatiente y suma ese total a la vida del monstruo. Si el monstruo gana, ese jugador recibe la recompensa. Si pierde, sufre la penitencia.',
+    rules: [{ type: 'firstSidesWithMonster', dicePerOther: 2 }],
     penalty: '4 de oro + descarta 1 equipamiento',
+    penaltyPayout: [{ kind: 'gold', amount: 4 }, { kind: 'discard', count: 1 }],
   },
   {
     id: 8,
@@ -144,8 +196,11 @@ const MONSTERS = [
     hp: '8x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio',
+    rewardPayout: [{ kind: 'equipment', count: 1 }],
     ability: 'Los jugadores no pueden usar equipamientos, pero cada combatiente lanza 3 dados en vez de 2.',
+    rules: [{ type: 'noEquipment' }, { type: 'dice', count: 3 }],
     penalty: '4 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 4 }],
   },
   {
     id: 9,
@@ -155,8 +210,11 @@ const MONSTERS = [
     hp: '6x',
     minPlayers: 1,
     reward: '1 equipamiento aleatorio',
+    rewardPayout: [{ kind: 'equipment', count: 1 }],
     ability: 'Al ser derrotado, cada combatiente lanza un dado y gana ese resultado en oro.',
+    rules: [{ type: 'rollGoldOnDefeat' }],
     penalty: 'Cada combatiente lanza un dado y pierde ese resultado en oro.',
+    penaltyPayout: [{ kind: 'rollGold' }],
   },
   {
     id: 10,
@@ -166,8 +224,11 @@ const MONSTERS = [
     hp: '4x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 8 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 8 }],
     ability: 'El monstruo gana +3 de vida por cada jugador que no participe en el combate.',
+    rules: [{ type: 'hpPerAbsent', amount: 3 }],
     penalty: '5 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 5 }],
   },
   {
     id: 11,
@@ -177,8 +238,11 @@ const MONSTERS = [
     hp: '7x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 8 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 8 }],
     ability: 'El combatiente con el total más bajo es forzado a descansar la noche siguiente.',
+    rules: [{ type: 'lowestRests' }],
     penalty: '4 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 4 }],
   },
   {
     id: 12,
@@ -188,8 +252,11 @@ const MONSTERS = [
     hp: '7x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 10 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 10 }],
     ability: 'Cualquier combatiente con resultado total de 8 o menos no recibe recompensa.',
+    rules: [{ type: 'noRewardAtOrBelow', total: 8 }],
     penalty: '5 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 5 }],
   },
   {
     id: 13,
@@ -199,8 +266,11 @@ const MONSTERS = [
     hp: '7x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 10 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 10 }],
     ability: 'Después del combate, el mejor lanzador recibe 2 monedas de cada combatiente.',
+    rules: [{ type: 'bestCollects', amount: 2 }],
     penalty: '6 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 6 }],
   },
   {
     id: 14,
@@ -210,8 +280,11 @@ const MONSTERS = [
     hp: '8x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 12 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 12 }],
     ability: 'Si el monstruo es derrotado, el jugador con más oro pierde 10 monedas.',
+    rules: [{ type: 'richestLoses', amount: 10 }],
     penalty: '6 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 6 }],
   },
   {
     id: 15,
@@ -221,8 +294,11 @@ const MONSTERS = [
     hp: '8x',
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 12 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 12 }],
     ability: 'Al ser derrotado, deben hacerlo de nuevo con vida de 5 x combatiente y sin equipamientos.',
+    rules: [{ type: 'secondPhase', hpPerCombatant: 5 }],
     penalty: 'Descarta 1 equipamiento',
+    penaltyPayout: [{ kind: 'discard', count: 1 }],
   },
   {
     id: 16,
@@ -232,8 +308,11 @@ const MONSTERS = [
     hp: null,
     minPlayers: 2,
     reward: '2 equipamientos aleatorios + 14 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 2 }, { kind: 'gold', amount: 14 }],
     ability: 'Cada combatiente elige en secreto: adelante ayuda a la Polilla, hacia sí mismo ayuda al grupo. Cada bando suma sus dados y el mayor total gana. Si solo hay 1 jugador, toma una carta de evento en vez de pelear. En caso de empate, el monstruo gana.',
+    rules: [{ type: 'sides' }],
     penalty: '10 de oro',
+    penaltyPayout: [{ kind: 'gold', amount: 10 }],
   },
   {
     id: 17,
@@ -243,8 +322,11 @@ const MONSTERS = [
     hp: '7x',
     minPlayers: 3,
     reward: '3 equipamientos aleatorios + 15 de oro',
+    rewardPayout: [{ kind: 'equipment', count: 3 }, { kind: 'gold', amount: 15 }],
     ability: 'En vez de lanzar los dados normalmente, todos los combatientes empiezan con 1 en ambos dados y solo pueden modificarlos con equipamientos.',
+    rules: [{ type: 'fixedDice', value: 1 }],
     penalty: '6 de oro y el peor lanzador descarta 1 equipamiento',
+    penaltyPayout: [{ kind: 'gold', amount: 6 }, { kind: 'discard', count: 1, who: 'worst' }],
   },
   {
     id: 18,
@@ -254,8 +336,11 @@ const MONSTERS = [
     hp: '8x',
     minPlayers: 3,
     reward: '1 maná adicional',
+    rewardPayout: [{ kind: 'maxMana', amount: 1 }],
     ability: 'Para participar en este combate, debes hacer una ofrenda. Lanza un dado: 1-3 sacrificas 1 equipamiento a elección, 4-6 sacrificas 15 de oro. Si no puedes pagar, no puedes participar.',
+    rules: [{ type: 'offering', gold: 15 }],
     penalty: '10 de oro y el peor lanzador descarta 1 equipamiento',
+    penaltyPayout: [{ kind: 'gold', amount: 10 }, { kind: 'discard', count: 1, who: 'worst' }],
   },
   {
     id: 19,
@@ -265,8 +350,11 @@ const MONSTERS = [
     hp: 15,
     minPlayers: 3,
     reward: '1 maná adicional + 10 de oro',
+    rewardPayout: [{ kind: 'maxMana', amount: 1 }, { kind: 'gold', amount: 10 }],
     ability: 'Cada jugador debe vencerlo individualmente.',
+    rules: [{ type: 'individual' }],
     penalty: '10 de oro y el peor lanzador pierde 1 maná adicional permanentemente',
+    penaltyPayout: [{ kind: 'gold', amount: 10 }, { kind: 'maxMana', amount: 1, who: 'worst' }],
   },
   {
     id: 20,
@@ -276,84 +364,113 @@ const MONSTERS = [
     hp: '10x',
     minPlayers: 3,
     reward: '1. Maná adicional  2. 3 equipamientos aleatorios  3. 30 de oro (en orden de apuesta)',
+    rewardPayout: [{ kind: 'ranked', by: 'wager', prizes: [
+      { kind: 'maxMana', amount: 1 },
+      { kind: 'equipment', count: 3 },
+      { kind: 'gold', amount: 30 },
+    ] }],
     ability: 'Cada jugador apuesta oro en orden de turno (el oro apostado siempre se pierde). Si ganan, los premios se reparten de mayor a menor apuesta. En empate, los empatados comparten el mismo premio.',
+    rules: [{ type: 'wager' }],
     penalty: 'Los jugadores que no participen y el jugador con la menor apuesta pierden 2 equipamientos a elección.',
+    penaltyPayout: [{ kind: 'discard', count: 2, who: 'absent' }, { kind: 'discard', count: 2, who: 'lowestWager' }],
   },
 ];
 
 const TIER_ORDER = ['duende', 'ogro', 'golem', 'dragon'];
 
+// Equipment sells for this share of its price unless an event says otherwise
+const RESALE_FACTOR = 0.5;
+
+// Tournament gold conversions (tournament pre phase)
+const GOLD_CONVERSIONS = [
+  { id: 'equipment', cost: 5,  label: '1 equipamiento' },
+  { id: 'slot',      cost: 15, label: '1 slot de equipamiento' },
+  { id: 'maxMana',   cost: 30, label: '+1 maná permanente' },
+];
+
+// effects: what the app applies when the event is drawn (tracking mode) or
+// which actions it blocks. Events without `effects` are display-only.
+// Shop effects: shopReveal (cards per player), shopDiscount (price factor),
+// shopOpen (the shop also opens at night), sellPrice (resale factor).
 const DAY_EVENTS = [
   { id: 1,  name: 'Día Normal',          effect: 'Un día ordinario en el reino.',                                                                      count: 8 },
-  { id: 2,  name: 'Feria del Gremio',    effect: 'Hoy se revelan 2 cartas por jugador en la tienda en vez de 1.',                                      count: 2 },
-  { id: 3,  name: 'Día de Tregua',       effect: 'Nadie puede iniciar duelos hoy.',                                                                     count: 2 },
+  { id: 2,  name: 'Feria del Gremio',    effect: 'Hoy se revelan 2 cartas por jugador en la tienda en vez de 1.',                                      count: 2, effects: [{ type: 'shopReveal', perPlayer: 2 }] },
+  { id: 3,  name: 'Día de Tregua',       effect: 'Nadie puede iniciar duelos hoy.',                                                                     count: 2, effects: [{ type: 'noDuels' }] },
   { id: 4,  name: 'Monstruo Legendario', effect: 'El monstruo de la mazmorra hoy tiene el doble de vida pero otorga el doble de recompensa.',           count: 2 },
   { id: 5,  name: 'Día de Suerte',       effect: 'Todos los jugadores pueden elegir 1 objeto de su preferencia al inicio del día.',                     count: 2 },
   { id: 6,  name: 'Mazmorra Cerrada',    effect: 'Nadie puede ir a la mazmorra hoy. La carta de monstruo se descarta.',                                 count: 2 },
   { id: 7,  name: 'Doble Evento',        effect: 'Los jugadores en casilla de evento roban 2 cartas hoy.',                                              count: 3 },
-  { id: 8,  name: 'Mercado Negro',       effect: 'Los equipamientos en tienda cuestan la mitad hoy.',                                                   count: 2 },
+  { id: 8,  name: 'Mercado Negro',       effect: 'Los equipamientos en tienda cuestan la mitad hoy.',                                                   count: 2, effects: [{ type: 'shopDiscount', factor: 0.5 }] },
   { id: 9,  name: 'Día de Caza',         effect: 'Los monstruos de mazmorra otorgan el doble de recompensa hoy.',                                       count: 2 },
   { id: 10, name: 'Torre en Disputa',    effect: 'Ningún jugador puede cobrar ingresos de sus torres hoy.',                                             count: 1 },
   { id: 11, name: 'Día Caótico',         effect: 'El orden de turno se invierte hoy.',                                                                  count: 1 },
   { id: 12, name: 'Día Transparente',    effect: 'Hoy las flechas son visibles. Los jugadores eligen su casilla en orden de turno.',                    count: 1 },
-  { id: 13, name: 'Recuperación General',effect: 'Todos los jugadores recuperan todo su maná al inicio del día.',                                       count: 2 },
+  { id: 13, name: 'Recuperación General',effect: 'Todos los jugadores recuperan todo su maná al inicio del día.',                                       count: 2, effects: [{ type: 'refillMana' }] },
 ];
 
 const NIGHT_EVENTS = [
   { id: 1,  name: 'Noche Normal',           effect: 'La oscuridad llega sin novedades esta noche.',                                                    count: 4 },
   { id: 2,  name: 'Ingresos Extra',         effect: 'Los jugadores que trabajen esta noche ganan el doble de oro.',                                    count: 3 },
   { id: 3,  name: 'Competencia en el Ring', effect: 'Pueden realizarse 2 peleas en el ring esta noche en vez de 1.',                                   count: 2 },
-  { id: 4,  name: 'Descanso Obligatorio',   effect: 'Todos los jugadores recuperan todo su maná.',                                                     count: 2 },
-  { id: 5,  name: 'Mercado Nocturno',       effect: 'La tienda está disponible esta noche, remplazando la casilla de "Trabajo".',                      count: 1 },
-  { id: 6,  name: 'Noche Tranquila',        effect: 'El ring está cerrado esta noche. Nadie puede iniciar duelos.',                                    count: 1 },
+  { id: 4,  name: 'Descanso Obligatorio',   effect: 'Todos los jugadores recuperan todo su maná.',                                                     count: 2, effects: [{ type: 'refillMana' }] },
+  { id: 5,  name: 'Mercado Nocturno',       effect: 'La tienda está disponible esta noche, remplazando la casilla de "Trabajo".',                      count: 1, effects: [{ type: 'shopOpen' }] },
+  { id: 6,  name: 'Noche Tranquila',        effect: 'El ring está cerrado esta noche. Nadie puede iniciar duelos.',                                    count: 1, effects: [{ type: 'noDuels' }] },
   { id: 7,  name: 'Noche de Caos',          effect: 'El orden de turno se invierte esta noche.',                                                       count: 1 },
-  { id: 8,  name: 'Bonanza',               effect: 'Todos los jugadores reciben 5 de oro adicional al inicio de la noche.',                            count: 2 },
-  { id: 9,  name: 'Remate Nocturno',        effect: 'Esta noche todos los jugadores pueden vender equipamientos por su precio completo.',               count: 2 },
-  { id: 10, name: 'Noche Mágica',           effect: 'Todos los jugadores recuperan todo su maná al inicio de la noche.',                               count: 1 },
-  { id: 11, name: 'El Oráculo',             effect: 'Se revela la próxima carta de monstruo de la baraja de mazmorras.',                               count: 1 },
+  { id: 8,  name: 'Bonanza',               effect: 'Todos los jugadores reciben 5 de oro adicional al inicio de la noche.',                            count: 2, effects: [{ type: 'gold', amount: 5 }] },
+  { id: 9,  name: 'Remate Nocturno',        effect: 'Esta noche todos los jugadores pueden vender equipamientos por su precio completo.',               count: 2, effects: [{ type: 'sellPrice', factor: 1 }] },
+  { id: 10, name: 'Noche Mágica',           effect: 'Todos los jugadores recuperan todo su maná al inicio de la noche.',                               count: 1, effects: [{ type: 'refillMana' }] },
+  { id: 11, name: 'El Oráculo',             effect: 'Se revela la próxima carta de monstruo de la baraja de mazmorras.',                               count: 1, effects: [{ type: 'revealMonster' }] },
 ];
 
+// duel: how the duel calculator scores the card, evaluated in play order
+// against both fighters' final dice (DUEL_EFFECTS in app.js). 'dice' and
+// 'block' cards act on the table (rerolls, hands) and score nothing.
+// passive: counts for whoever holds the card, every duel, without being played.
+// Card flags: undiscardable, unsellable, noDungeon (can't be used in dungeon
+// fights), transfersOnCombatEnd (passes to the rival when a duel ends, even
+// into a full hand: the rival then has to sell or discard to get back under).
 const EQUIPMENT = [
-  { id: 1,  name: 'Escudo Pesado',       text: 'Ataque +X (X = valor de un dado de otro jugador en juego que elijas).',                                                    count: 3, price: 10, mana: 3 },
-  { id: 2,  name: 'Ruleta Maligna',      text: 'Por cada dado impar en juego: Ataque +3. Por cada par: Ataque +1.',                                                        count: 2, price: 10, mana: 2 },
-  { id: 3,  name: 'Comodín',             text: 'Lanza un dado adicional.',                                                                                                 count: 3, price: 10, mana: 3 },
-  { id: 4,  name: 'Doble Espada',        text: 'Ataque +X (X = valor de uno de tus dados).',                                                                               count: 1, price: 12, mana: 3 },
-  { id: 5,  name: 'Sello Maligno',       text: 'Obliga a cualquier jugador a repetir su tirada.',                                                                          count: 2, price: 12, mana: 2 },
-  { id: 6,  name: 'Corona de Arturo',    text: 'Si en este momento el rival tiene mayor total, tu total pasa a ser el suyo +1. Mazmorra: Ataque +3.',                      count: 1, price: 14, mana: 2 },
-  { id: 7,  name: 'Escudo Mágico',       text: 'Anula la próxima carta del rival en este combate. Mazmorra: Ataque +1.',                                                   count: 2, price: 6,  mana: 2 },
-  { id: 8,  name: 'Ruleta',              text: 'Ataque +2 por cada dado impar tuyo.',                                                                                      count: 2, price: 6,  mana: 2 },
-  { id: 9,  name: 'Amplificador',        text: 'Ataque +6 si tienes al menos dos dados iguales.',                                                                          count: 2, price: 6,  mana: 2 },
-  { id: 10, name: 'Rayo Mortal',         text: 'Ataque +6 si tienes un 6.',                                                                                               count: 2, price: 6,  mana: 2 },
-  { id: 11, name: 'Doble Filo',          text: 'Intercambia uno de tus dados por otro dado en juego.',                                                                     count: 2, price: 6,  mana: 3 },
-  { id: 12, name: 'Hacha de Batalla',    text: 'Elige uno de tus dados y cámbialo al valor del otro.',                                                                     count: 2, price: 8,  mana: 2 },
-  { id: 13, name: 'Resorte',             text: 'Repite hasta 2 de tus dados.',                                                                                             count: 3, price: 8,  mana: 1 },
-  { id: 14, name: 'Afilador',            text: 'Sube +3 a uno de tus dados (máximo 6).',                                                                                   count: 2, price: 8,  mana: 2 },
-  { id: 15, name: 'Pergamino Oscuro',    text: 'Roba un equipamiento al azar del mazo y úsalo ignorando coste de maná. Devuélvelo al fondo al final del combate.',         count: 2, price: 8,  mana: 2 },
-  { id: 16, name: 'Varita Mágica',       text: 'Ataque +3 si el rival tiene más maná que tú. Mazmorra: Ataque +3.',                                                        count: 2, price: 12, mana: 1 },
-  { id: 17, name: 'Espejo de Bolsillo',  text: 'Copia el efecto de un equipamiento de cualquier jugador en juego.',                                                        count: 2, price: 10, mana: 2 },
-  { id: 18, name: 'Botas Ligeras',       text: 'Ataque +1 por cada dado de otro jugador en juego. Mazmorra: Ataque +1.',                                                   count: 2, price: 8,  mana: 1 },
-  { id: 19, name: 'Daga Hechizada',      text: 'Ataque +1 por cada dado impar en la mesa. Mazmorra: Ataque +3.',                                                           count: 2, price: 12, mana: 1 },
-  { id: 20, name: 'Cota de Piedra',      text: 'Ataque +5.',                                                                                                               count: 2, price: 10, mana: 3 },
-  { id: 21, name: 'Reloj de Arena',      text: 'Repite todos los dados de todos los jugadores en juego.',                                                                   count: 2, price: 8,  mana: 2 },
-  { id: 22, name: 'Mazo',                text: 'Ataque +2.',                                                                                                               count: 3, price: 4,  mana: 1 },
-  { id: 23, name: 'Normalizador',        text: 'Elige un dado tuyo y uno de otro jugador: cámbialos a 3.',                                                                  count: 3, price: 4,  mana: 2 },
-  { id: 24, name: 'Caja Sorpresa',       text: 'Repite 1 dado hasta 2 veces.',                                                                                             count: 3, price: 4,  mana: 1 },
-  { id: 25, name: 'Escudo Ligero',       text: 'Ataque +2.',                                                                                                               count: 3, price: 4,  mana: 1 },
-  { id: 26, name: 'Daga',                text: 'Ataque +1 por cada equipamiento que hayas usado antes en este combate.',                                                    count: 3, price: 4,  mana: 1 },
-  { id: 27, name: 'Capa del Rey Demonio',text: 'Toma un equipamiento de la mano del rival y úsalo ignorando coste. Devuélvelo al final. Mazmorra: Ataque +3.',             count: 1, price: 14, mana: 3 },
-  { id: 28, name: 'Escudo de Cuero',     text: 'Ataque +1 por cada equipamiento que el rival haya usado en este combate. Mazmorra: Ataque +1.',                            count: 3, price: 4,  mana: 1 },
-  { id: 29, name: 'Caña de Pescar',      text: 'Anula 1 equipamiento del rival. Mazmorra: Ataque +1.',                                                                     count: 2, price: 6,  mana: 3 },
-  { id: 30, name: 'Escudito',            text: 'Ataque +1.',                                                                                                               count: 3, price: 4,  mana: 0 },
-  { id: 31, name: 'Plaga',               text: 'Ataque propio -2. Al final del combate pasa al rival. No puede descartarse, venderse ni usarse en mazmorras.',              count: 1, price: 0,  mana: 0 },
-  { id: 32, name: 'Armadura de Arturo',  text: 'Anula todos los equipamientos en juego. Un jugador elegido repite sus dados. Mazmorra: Ataque +3.',                        count: 1, price: 14, mana: 2 },
-  { id: 33, name: 'Espadita',            text: 'Ataque +1.',                                                                                                               count: 3, price: 4,  mana: 0 },
-  { id: 34, name: 'Espada de Sigurd',    text: 'Ataque +1 por cada equipamiento usado antes en este combate.',                                                             count: 1, price: 14, mana: 1 },
-  { id: 35, name: 'Trampa para Osos',    text: 'Ataque +3 si hubo un cambio de dados en este combate.',                                                                    count: 3, price: 4,  mana: 1 },
-  { id: 36, name: 'Daga Envenenada',     text: 'Ataque +1 por cada equipamiento que el rival juegue después de esta carta. Mazmorra: Ataque +3.',                          count: 2, price: 12, mana: 1 },
-  { id: 37, name: 'Martillo Ligero',     text: 'Ataque +3 si todos tus dados son pares.',                                                                                  count: 2, price: 1,  mana: 1 },
-  { id: 38, name: 'Escama Antigua',      text: 'Ataque +3 si el rival tiene algún 6. Mazmorra: Ataque +1 por cada 10 de vida base del monstruo.',                          count: 2, price: 1,  mana: 1 },
-  { id: 39, name: 'Dados Gemelos',       text: 'Ataque +4 si tus dados muestran el mismo valor.',                                                                          count: 2, price: 1,  mana: 1 },
-  { id: 40, name: 'Ojo del Dragón',      text: 'Mira la mano del rival. Elige 1 carta: no puede usarla este combate. Mazmorra: Ataque +2.',                                count: 1, price: 6,  mana: 2 },
-  { id: 41, name: 'Candado Rúnico',      text: 'Elige al azar 1 carta de la mano del rival: no puede usarla este combate. Mazmorra: Ataque +1.',                           count: 2, price: 1,  mana: 1 },
-  { id: 42, name: 'Armadura Rota',       text: 'Ataque +4, pero no puedes haber usado ni usar cartas en este combate después de esta.',                                    count: 2, price: 1,  mana: 1 },
+  { id: 1,  name: 'Escudo Pesado',       text: 'Ataque +X (X = valor de un dado de otro jugador en juego que elijas).',                                                    count: 3, price: 10, mana: 3, duel: { type: 'bestDie', of: 'rival' } },
+  { id: 2,  name: 'Ruleta Maligna',      text: 'Por cada dado impar en juego: Ataque +3. Por cada par: Ataque +1.',                                                        count: 2, price: 10, mana: 2, duel: { type: 'perDie', of: 'all', odd: 3, even: 1 } },
+  { id: 3,  name: 'Comodín',             text: 'Lanza un dado adicional.',                                                                                                 count: 3, price: 10, mana: 3, duel: { type: 'extraDie' } },
+  { id: 4,  name: 'Doble Espada',        text: 'Ataque +X (X = valor de uno de tus dados).',                                                                               count: 1, price: 12, mana: 3, duel: { type: 'bestDie', of: 'own' } },
+  { id: 5,  name: 'Sello Maligno',       text: 'Obliga a cualquier jugador a repetir su tirada.',                                                                          count: 2, price: 12, mana: 2, duel: { type: 'dice' } },
+  { id: 6,  name: 'Corona de Arturo',    text: 'Si en este momento el rival tiene mayor total, tu total pasa a ser el suyo +1. Mazmorra: Ataque +3.',                      count: 1, price: 14, mana: 2, duel: { type: 'crown' } },
+  { id: 7,  name: 'Escudo Mágico',       text: 'Anula la próxima carta del rival en este combate. Mazmorra: Ataque +1.',                                                   count: 2, price: 6,  mana: 2, duel: { type: 'cancelNext' } },
+  { id: 8,  name: 'Ruleta',              text: 'Ataque +2 por cada dado impar tuyo.',                                                                                      count: 2, price: 6,  mana: 2, duel: { type: 'perDie', of: 'own', odd: 2 } },
+  { id: 9,  name: 'Amplificador',        text: 'Ataque +6 si tienes al menos dos dados iguales.',                                                                          count: 2, price: 6,  mana: 2, duel: { type: 'diceCheck', check: 'pair', amount: 6 } },
+  { id: 10, name: 'Rayo Mortal',         text: 'Ataque +6 si tienes un 6.',                                                                                               count: 2, price: 6,  mana: 2, duel: { type: 'diceCheck', check: 'six', amount: 6 } },
+  { id: 11, name: 'Doble Filo',          text: 'Intercambia uno de tus dados por otro dado en juego.',                                                                     count: 2, price: 6,  mana: 3, duel: { type: 'dice' } },
+  { id: 12, name: 'Hacha de Batalla',    text: 'Elige uno de tus dados y cámbialo al valor del otro.',                                                                     count: 2, price: 8,  mana: 2, duel: { type: 'dice' } },
+  { id: 13, name: 'Resorte',             text: 'Repite hasta 2 de tus dados.',                                                                                             count: 3, price: 8,  mana: 1, duel: { type: 'dice' } },
+  { id: 14, name: 'Afilador',            text: 'Sube +3 a uno de tus dados (máximo 6).',                                                                                   count: 2, price: 8,  mana: 2, duel: { type: 'dice' } },
+  { id: 15, name: 'Pergamino Oscuro',    text: 'Roba un equipamiento al azar del mazo y úsalo ignorando coste de maná. Devuélvelo al fondo al final del combate.',         count: 2, price: 8,  mana: 2, duel: { type: 'copy', from: 'deck' } },
+  { id: 16, name: 'Varita Mágica',       text: 'Ataque +3 si el rival tiene más maná que tú. Mazmorra: Ataque +3.',                                                        count: 2, price: 12, mana: 1, duel: { type: 'richerRival', amount: 3 } },
+  { id: 17, name: 'Espejo de Bolsillo',  text: 'Copia el efecto de un equipamiento de cualquier jugador en juego.',                                                        count: 2, price: 10, mana: 2, duel: { type: 'copy', from: 'played' } },
+  { id: 18, name: 'Botas Ligeras',       text: 'Ataque +1 por cada dado de otro jugador en juego. Mazmorra: Ataque +1.',                                                   count: 2, price: 8,  mana: 1, duel: { type: 'perDie', of: 'rival', odd: 1, even: 1 } },
+  { id: 19, name: 'Daga Hechizada',      text: 'Ataque +1 por cada dado impar en la mesa. Mazmorra: Ataque +3.',                                                           count: 2, price: 12, mana: 1, duel: { type: 'perDie', of: 'all', odd: 1 } },
+  { id: 20, name: 'Cota de Piedra',      text: 'Ataque +5.',                                                                                                               count: 2, price: 10, mana: 3, duel: { type: 'flat', amount: 5 } },
+  { id: 21, name: 'Reloj de Arena',      text: 'Repite todos los dados de todos los jugadores en juego.',                                                                   count: 2, price: 8,  mana: 2, duel: { type: 'dice' } },
+  { id: 22, name: 'Mazo',                text: 'Ataque +2.',                                                                                                               count: 3, price: 4,  mana: 1, duel: { type: 'flat', amount: 2 } },
+  { id: 23, name: 'Normalizador',        text: 'Elige un dado tuyo y uno de otro jugador: cámbialos a 3.',                                                                  count: 3, price: 4,  mana: 2, duel: { type: 'dice' } },
+  { id: 24, name: 'Caja Sorpresa',       text: 'Repite 1 dado hasta 2 veces.',                                                                                             count: 3, price: 4,  mana: 1, duel: { type: 'dice' } },
+  { id: 25, name: 'Escudo Ligero',       text: 'Ataque +2.',                                                                                                               count: 3, price: 4,  mana: 1, duel: { type: 'flat', amount: 2 } },
+  { id: 26, name: 'Daga',                text: 'Ataque +1 por cada equipamiento que hayas usado antes en este combate.',                                                    count: 3, price: 4,  mana: 1, duel: { type: 'perPlayedBefore', of: 'own' } },
+  { id: 27, name: 'Capa del Rey Demonio',text: 'Toma un equipamiento de la mano del rival y úsalo ignorando coste. Devuélvelo al final. Mazmorra: Ataque +3.',             count: 1, price: 14, mana: 3, duel: { type: 'copy', from: 'rivalHand' } },
+  { id: 28, name: 'Escudo de Cuero',     text: 'Ataque +1 por cada equipamiento que el rival haya usado en este combate. Mazmorra: Ataque +1.',                            count: 3, price: 4,  mana: 1, duel: { type: 'perRivalPlayed' } },
+  { id: 29, name: 'Caña de Pescar',      text: 'Anula 1 equipamiento del rival. Mazmorra: Ataque +1.',                                                                     count: 2, price: 6,  mana: 3, duel: { type: 'cancelOne' } },
+  { id: 30, name: 'Escudito',            text: 'Ataque +1.',                                                                                                               count: 3, price: 4,  mana: 0, duel: { type: 'flat', amount: 1 } },
+  { id: 31, name: 'Plaga',               text: 'Ataque propio -2. Al final del combate pasa al rival. No puede descartarse, venderse ni usarse en mazmorras.',              count: 1, price: 0,  mana: 0, duel: { type: 'flat', amount: -2, passive: true },
+    undiscardable: true, unsellable: true, noDungeon: true, transfersOnCombatEnd: true },
+  { id: 32, name: 'Armadura de Arturo',  text: 'Anula todos los equipamientos en juego. Un jugador elegido repite sus dados. Mazmorra: Ataque +3.',                        count: 1, price: 14, mana: 2, duel: { type: 'cancelAll' } },
+  { id: 33, name: 'Espadita',            text: 'Ataque +1.',                                                                                                               count: 3, price: 4,  mana: 0, duel: { type: 'flat', amount: 1 } },
+  { id: 34, name: 'Espada de Sigurd',    text: 'Ataque +1 por cada equipamiento usado antes en este combate.',                                                             count: 1, price: 14, mana: 1, duel: { type: 'perPlayedBefore', of: 'all' } },
+  { id: 35, name: 'Trampa para Osos',    text: 'Ataque +3 si hubo un cambio de dados en este combate.',                                                                    count: 3, price: 4,  mana: 1, duel: { type: 'diceChanged', amount: 3 } },
+  { id: 36, name: 'Daga Envenenada',     text: 'Ataque +1 por cada equipamiento que el rival juegue después de esta carta. Mazmorra: Ataque +3.',                          count: 2, price: 12, mana: 1, duel: { type: 'perRivalAfter' } },
+  { id: 37, name: 'Martillo Ligero',     text: 'Ataque +3 si todos tus dados son pares.',                                                                                  count: 2, price: 1,  mana: 1, duel: { type: 'diceCheck', check: 'allEven', amount: 3 } },
+  { id: 38, name: 'Escama Antigua',      text: 'Ataque +3 si el rival tiene algún 6. Mazmorra: Ataque +1 por cada 10 de vida base del monstruo.',                          count: 2, price: 1,  mana: 1, duel: { type: 'diceCheck', check: 'six', of: 'rival', amount: 3 } },
+  { id: 39, name: 'Dados Gemelos',       text: 'Ataque +4 si tus dados muestran el mismo valor.',                                                                          count: 2, price: 1,  mana: 1, duel: { type: 'diceCheck', check: 'allSame', amount: 4 } },
+  { id: 40, name: 'Ojo del Dragón',      text: 'Mira la mano del rival. Elige 1 carta: no puede usarla este combate. Mazmorra: Ataque +2.',                                count: 1, price: 6,  mana: 2, duel: { type: 'block' } },
+  { id: 41, name: 'Candado Rúnico',      text: 'Elige al azar 1 carta de la mano del rival: no puede usarla este combate. Mazmorra: Ataque +1.',                           count: 2, price: 1,  mana: 1, duel: { type: 'block' } },
+  { id: 42, name: 'Armadura Rota',       text: 'Ataque +4, pero no puedes haber usado ni usar cartas en este combate después de esta.',                                    count: 2, price: 1,  mana: 1, duel: { type: 'flat', amount: 4, alone: true } },
 ];